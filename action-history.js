@@ -0,0 +1,240 @@
+// GitHub Merge Conflict Helper - Action History
+// Per-file undo/redo of resolution actions. Every step is a snapshot of the
+// file's state after an action (hunk choices, resolved content and the editor
+// text), so stepping back or forward restores it exactly. Like
+// ConflictSession it lives in sessionStorage, scoped to the tab and the pull
+// request, and survives GitHub's in-page navigation between files. Stored
+// steps keep only what their texts changed from the step before, and the
+// oldest steps go once the history outgrows MAX_STORED.
+class ActionHistory {
+  // Older steps are dropped beyond this, per file
+  static get MAX_STEPS() {
+    return 50;
+  }
+
+  // Characters of stored history per pull request, well under the quota
+  static get MAX_STORED() {
+    return 1000000;
+  }
+
+  // State fields holding whole texts, stored as changes to the previous step
+  static get TEXT_FIELDS() {
+    return ["editorContent", "resolvedContent"];
+  }
+
+  constructor(key) {
+    this.key = key;
+    this.files = {};
+    this.load();
+  }
+
+  static forLocation(location) {
+    const pull = GitHubApi.parseLocation(location);
+    const scope = pull ? `${pull.owner}/${pull.repo}#${pull.pull}` : location.pathname;
+    return new ActionHistory(`merge-helper-history:${scope}`);
+  }
+
+  // `text` as a change to `previous`: the lengths of the prefix and suffix
+  // they share and the text in between
+  static delta(previous, text) {
+    if (typeof previous !== "string" || typeof text !== "string") {
+      return { text };
+    }
+
+    const max = Math.min(previous.length, text.length);
+    let prefix = 0;
+    while (prefix < max && previous[prefix] === text[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    while (
+      suffix < max - prefix &&
+      previous[previous.length - 1 - suffix] === text[text.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+    return { prefix, suffix, text: text.substring(prefix, text.length - suffix) };
+  }
+
+  static applyDelta(previous, delta) {
+    if (delta.prefix === undefined) {
+      return delta.text;
+    }
+    return (
+      previous.substring(0, delta.prefix) +
+      delta.text +
+      previous.substring(previous.length - delta.suffix)
+    );
+  }
+
+  // Each text field is stored against the field's last text in an earlier
+  // step, so a field that is sometimes null isn't stored whole again
+  static encode(file) {
+    const last = {};
+    const steps = file.steps.map((step) => {
+      const state = { ...step.state };
+      for (const field of ActionHistory.TEXT_FIELDS) {
+        state[field] = ActionHistory.delta(last[field], step.state[field]);
+        if (typeof step.state[field] === "string") {
+          last[field] = step.state[field];
+        }
+      }
+      return { ...step, state };
+    });
+    return { steps, cursor: file.cursor };
+  }
+
+  static decode(stored) {
+    const last = {};
+    const steps = stored.steps.map((step) => {
+      const state = { ...step.state };
+      for (const field of ActionHistory.TEXT_FIELDS) {
+        state[field] = ActionHistory.applyDelta(last[field], step.state[field]);
+        if (typeof state[field] === "string") {
+          last[field] = state[field];
+        }
+      }
+      return { ...step, state };
+    });
+    return { steps, cursor: stored.cursor };
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.key) || "null") || {};
+      this.files = {};
+      for (const [path, file] of Object.entries(stored)) {
+        this.files[path] = ActionHistory.decode(file);
+      }
+    } catch (error) {
+      this.files = {};
+    }
+  }
+
+  // Drops the oldest step of the file with the most steps, or its newest
+  // undone one when the oldest is the current step. False when every file
+  // is down to one step.
+  dropStep() {
+    const file = Object.values(this.files)
+      .filter((candidate) => candidate.steps.length > 1)
+      .sort((a, b) => b.steps.length - a.steps.length)[0];
+    if (!file) {
+      return false;
+    }
+
+    if (file.cursor > 0) {
+      file.steps.shift();
+      file.cursor--;
+    } else {
+      file.steps.pop();
+    }
+    return true;
+  }
+
+  serialize() {
+    const stored = {};
+    for (const [path, file] of Object.entries(this.files)) {
+      stored[path] = ActionHistory.encode(file);
+    }
+    return JSON.stringify(stored);
+  }
+
+  save() {
+    let serialized = this.serialize();
+    while (serialized.length > ActionHistory.MAX_STORED && this.dropStep()) {
+      serialized = this.serialize();
+    }
+
+    try {
+      sessionStorage.setItem(this.key, serialized);
+    } catch (error) {
+      // Storage full - keep only the most recent steps of each file and retry once
+      for (const file of Object.values(this.files)) {
+        const drop = Math.max(0, Math.min(file.steps.length - 5, file.cursor));
+        file.steps = file.steps.slice(drop);
+        file.cursor -= drop;
+      }
+      try {
+        sessionStorage.setItem(this.key, this.serialize());
+      } catch (retryError) {
+        // The history simply won't survive navigation
+      }
+    }
+  }
+
+  // Returns { steps: [{ label, at, state }], cursor } for a file
+  get(path) {
+    return this.files[path || ""] || { steps: [], cursor: -1 };
+  }
+
+  current(path) {
+    const file = this.get(path);
+    return file.steps[file.cursor] || null;
+  }
+
+  // Adds a step after the current one, dropping the steps that were undone.
+  // A state equal to the current one is not a step; with `coalesce`, a step
+  // with the same label directly before is replaced instead (e.g. typing).
+  push(path, label, state, { coalesce = false } = {}) {
+    const key = path || "";
+    const file = this.files[key] || { steps: [], cursor: -1 };
+    this.files[key] = file;
+
+    const current = file.steps[file.cursor];
+    if (current && ActionHistory.sameState(current.state, state)) {
+      return false;
+    }
+
+    file.steps = file.steps.slice(0, file.cursor + 1);
+    if (
+      coalesce &&
+      current &&
+      current.label === label &&
+      file.cursor > 0
+    ) {
+      file.steps[file.cursor] = { label, at: Date.now(), state };
+    } else {
+      file.steps.push({ label, at: Date.now(), state });
+    }
+
+    if (file.steps.length > ActionHistory.MAX_STEPS) {
+      file.steps = file.steps.slice(file.steps.length - ActionHistory.MAX_STEPS);
+    }
+    file.cursor = file.steps.length - 1;
+    this.save();
+    return true;
+  }
+
+  static sameState(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  canUndo(path) {
+    return this.get(path).cursor > 0;
+  }
+
+  canRedo(path) {
+    const file = this.get(path);
+    return file.cursor < file.steps.length - 1;
+  }
+
+  // Moves the cursor and returns the step to restore, or null
+  moveTo(path, index) {
+    const file = this.files[path || ""];
+    if (!file || index < 0 || index >= file.steps.length || index === file.cursor) {
+      return null;
+    }
+
+    file.cursor = index;
+    this.save();
+    return file.steps[index];
+  }
+
+  undo(path) {
+    return this.moveTo(path, this.get(path).cursor - 1);
+  }
+
+  redo(path) {
+    return this.moveTo(path, this.get(path).cursor + 1);
+  }
+}
@@ -25,6 +25,7 @@ rsync -av \
   --exclude='.github' \
   --exclude='*.md' \
   --exclude='LICENSE' \
+  --exclude='tests' \
   --exclude='build.sh' \
   ./ builds/debug/
 
@@ -36,6 +37,7 @@ rsync -av \
   --exclude='.github' \
   --exclude='*.md' \
   --exclude='LICENSE' \
+  --exclude='tests' \
   --exclude='build.sh' \
   ./ builds/production/
 
@@ -0,0 +1,108 @@
+// GitHub Merge Conflict Helper - Commit Context
+// Finds the commit on each branch that last touched a hunk's lines, so the
+// panel can say whose change a choice overrides. The REST API has no blame,
+// so the branch's recent commits to the file (back to the merge base) are
+// searched for one whose patch added most of the lines. Lines like "}" or
+// "});" are in nearly every patch, so only distinctive lines are compared.
+class CommitContext {
+  // Commits per branch whose patches are fetched and searched
+  static get MAX_COMMITS() {
+    return 5;
+  }
+
+  // Letters and digits a line needs to tell one patch from another
+  static get MIN_WORD_CHARS() {
+    return 6;
+  }
+
+  // A patch is credited when it adds more than this share of the distinctive lines
+  static get MIN_MATCH() {
+    return 0.5;
+  }
+
+  static isDistinctive(line) {
+    return (line.match(/[A-Za-z0-9]/g) || []).length >= CommitContext.MIN_WORD_CHARS;
+  }
+
+  constructor(api, { owner, repo }) {
+    this.api = api;
+    this.owner = owner;
+    this.repo = repo;
+    this.commitLists = new Map();
+    this.commits = new Map();
+  }
+
+  static summarize(commit) {
+    const message = (commit.commit?.message || "").split("\n")[0];
+    return {
+      sha: commit.sha,
+      shortSha: commit.sha.substring(0, 7),
+      author: commit.author?.login || commit.commit?.author?.name || "unknown",
+      date: commit.commit?.author?.date || null,
+      message,
+      url: commit.html_url,
+    };
+  }
+
+  // Lines a patch adds, without their "+" and surrounding whitespace
+  static addedLines(patch) {
+    return new Set(
+      (patch || "")
+        .split("\n")
+        .filter((line) => line.startsWith("+") && !line.startsWith("+++"))
+        .map((line) => line.substring(1).trim())
+    );
+  }
+
+  // The branch's commits to `path`, newest first, stopping at the merge base.
+  // Commits older than the merge base are left out even when it isn't among
+  // the listed ones.
+  async listCommits(path, sha, stopAt) {
+    const key = `${path}@${sha}`;
+    if (!this.commitLists.has(key)) {
+      const mergeBase = stopAt ? await this.getCommit(stopAt) : null;
+      const since = mergeBase?.commit?.committer?.date || null;
+      const commits = await this.api.listCommits(this.owner, this.repo, {
+        sha,
+        path,
+        since,
+        perPage: CommitContext.MAX_COMMITS * 2,
+      });
+      const end = commits.findIndex((commit) => commit.sha === stopAt);
+      this.commitLists.set(key, end === -1 ? commits : commits.slice(0, end));
+    }
+    return this.commitLists.get(key);
+  }
+
+  async getCommit(sha) {
+    if (!this.commits.has(sha)) {
+      this.commits.set(sha, await this.api.getCommit(this.owner, this.repo, sha));
+    }
+    return this.commits.get(sha);
+  }
+
+  // Returns a summary of the commit that last added most of the distinctive
+  // `lines` to `path` on the branch at `sha`, or null. `approximate` is set
+  // when no patch did and the branch's latest commit to the file since the
+  // merge base is returned instead.
+  async lastTouching(path, sha, stopAt, lines) {
+    const commits = await this.listCommits(path, sha, stopAt);
+    const wanted = Array.from(
+      new Set(lines.map((line) => line.trim()).filter(CommitContext.isDistinctive))
+    );
+    const needed = Math.floor(wanted.length * CommitContext.MIN_MATCH) + 1;
+
+    for (const listed of wanted.length > 0 ? commits.slice(0, CommitContext.MAX_COMMITS) : []) {
+      const commit = await this.getCommit(listed.sha);
+      const file = (commit.files || []).find((candidate) => candidate.filename === path);
+      const added = CommitContext.addedLines(file?.patch);
+      if (wanted.filter((line) => added.has(line)).length >= needed) {
+        return { ...CommitContext.summarize(commit), approximate: false };
+      }
+    }
+
+    return commits.length > 0
+      ? { ...CommitContext.summarize(commits[0]), approximate: true }
+      : null;
+  }
+}
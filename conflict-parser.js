@@ -0,0 +1,216 @@
+// GitHub Merge Conflict Helper - Conflict Parser
+// Strict reader for git's conflict markers. A marker is exactly `markerSize`
+// characters at the start of a line (git's conflict-marker-size, 7 unless the
+// file uses longer markers), optionally followed by a space and a label; a
+// trailing \r is ignored. Problems - nested, unterminated or incomplete blocks,
+// stray markers - are reported as diagnostics instead of being guessed at.
+class ConflictParser {
+  static get DEFAULT_MARKER_SIZE() {
+    return 7;
+  }
+
+  static get MARKER_CHARS() {
+    return { "<": "start", "|": "base", "=": "separator", ">": "end" };
+  }
+
+  // The marker size used by the file: 7, or the length of its first longer
+  // start marker when there are no 7-character ones
+  static detectMarkerSize(text) {
+    if (/^<{7}(?: |\r?$)/m.test(text)) {
+      return ConflictParser.DEFAULT_MARKER_SIZE;
+    }
+    const longer = text.match(/^(<{8,})(?: |\r?$)/m);
+    return longer ? longer[1].length : ConflictParser.DEFAULT_MARKER_SIZE;
+  }
+
+  // Returns { type, label } if the line is a marker of exactly `size` characters
+  static readMarker(line, size) {
+    const text = line.endsWith("\r") ? line.slice(0, -1) : line;
+    const type = ConflictParser.MARKER_CHARS[text[0]];
+    if (!type || text.length < size || text[0].repeat(size) !== text.substring(0, size)) {
+      return null;
+    }
+
+    const rest = text.substring(size);
+    if (rest !== "" && !rest.startsWith(" ")) {
+      // Longer runs (e.g. a Markdown "==========" underline) are not markers
+      return null;
+    }
+    if (type === "separator" && rest.trim() !== "") {
+      return null;
+    }
+    return { type, label: rest.trim() };
+  }
+
+  // Every marker line in `text`: [{ line (1-based), text, type }]. Used to
+  // check that no markers are left in a resolution, so pass the conflicted
+  // file's marker size when it is known.
+  static findMarkers(text, { markerSize = ConflictParser.detectMarkerSize(text) } = {}) {
+    const markers = [];
+    text.split("\n").forEach((line, index) => {
+      const marker = ConflictParser.readMarker(line, markerSize);
+      if (marker) {
+        markers.push({ line: index + 1, text: line, type: marker.type });
+      }
+    });
+    return markers;
+  }
+
+  // Returns { segments, hunks, diagnostics, markerSize }. Segments are
+  // { type: "text", lines } or { type: "conflict", hunk }; diagnostics are
+  // { severity: "error" | "warning", code, line, message } with 1-based lines.
+  static parse(text, { markerSize = ConflictParser.detectMarkerSize(text) } = {}) {
+    const lines = text.split("\n");
+    const segments = [];
+    const hunks = [];
+    const diagnostics = [];
+    let textLines = [];
+    let block = null;
+
+    const open = (start, label) => ({
+      start,
+      next: start + 1,
+      label,
+      base: -1,
+      baseLabel: null,
+      separator: -1,
+      // Every separator-like line; the real one is picked at the end marker
+      separators: [],
+    });
+
+    const report = (severity, code, line, message) =>
+      diagnostics.push({ severity, code, line, message });
+
+    const flushText = () => {
+      if (textLines.length > 0) {
+        segments.push({ type: "text", lines: textLines });
+        textLines = [];
+      }
+    };
+
+    // A block that can't be read as a conflict stays in the file untouched
+    const abandon = () => {
+      textLines.push(...lines.slice(block.start, block.next));
+      block = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const marker = ConflictParser.readMarker(lines[i], markerSize);
+      const number = i + 1;
+
+      if (!block) {
+        if (marker && marker.type === "start") {
+          block = open(i, marker.label);
+        } else {
+          if (marker && (marker.type === "end" || marker.type === "base")) {
+            report(
+              "warning",
+              "stray-marker",
+              number,
+              `"${lines[i].trim()}" is outside any conflict block`
+            );
+          }
+          textLines.push(lines[i]);
+        }
+        continue;
+      }
+
+      block.next = i + 1;
+      if (!marker) {
+        continue;
+      }
+
+      if (marker.type === "start") {
+        report(
+          "error",
+          "nested",
+          block.start + 1,
+          `Conflict starting here contains another start marker at line ${number}`
+        );
+        block.next = i;
+        abandon();
+        block = open(i, marker.label);
+      } else if (marker.type === "base") {
+        if (block.base === -1) {
+          block.base = i;
+          block.baseLabel = marker.label;
+        } else {
+          report("warning", "stray-marker", number, "Unexpected base marker inside a conflict block");
+        }
+      } else if (marker.type === "separator") {
+        block.separators.push(i);
+      } else if (marker.type === "end") {
+        // With a base section git writes the separator after it, so earlier
+        // separator-like lines are the current side's content
+        const candidates = block.separators.filter((line) => line > block.base);
+        if (candidates.length > 1) {
+          // More than one could be git's (e.g. an RST "=======" underline):
+          // splitting at the wrong one would hand content to the other side
+          report(
+            "error",
+            "ambiguous-separator",
+            block.start + 1,
+            `Lines ${candidates.map((line) => line + 1).join(", ")} all look like separators; resolve this conflict by hand`
+          );
+          abandon();
+          continue;
+        }
+        block.separator = candidates.length === 1 ? candidates[0] : -1;
+
+        if (block.separator === -1) {
+          report(
+            "error",
+            "missing-separator",
+            block.start + 1,
+            `Conflict starting here ends at line ${number} without a ${"=".repeat(markerSize)} separator`
+          );
+          abandon();
+          continue;
+        }
+
+        flushText();
+        const hasBase = block.base !== -1;
+        const hunk = {
+          index: hunks.length,
+          startLine: block.start + 1,
+          endLine: number,
+          currentLabel: block.label,
+          incomingLabel: marker.label,
+          baseLabel: hasBase ? block.baseLabel : null,
+          current: lines.slice(block.start + 1, hasBase ? block.base : block.separator),
+          base: hasBase ? lines.slice(block.base + 1, block.separator) : null,
+          incoming: lines.slice(block.separator + 1, i),
+          raw: lines.slice(block.start, i + 1),
+        };
+        hunks.push(hunk);
+        segments.push({ type: "conflict", hunk });
+        block = null;
+      }
+    }
+
+    if (block) {
+      report(
+        "error",
+        "unterminated",
+        block.start + 1,
+        `Conflict starting here has no ${">".repeat(markerSize)} end marker`
+      );
+      block.next = lines.length;
+      abandon();
+    }
+    flushText();
+
+    // The unchanged lines around each hunk, e.g. to tell if a list is sorted
+    segments.forEach((segment, index) => {
+      if (segment.type === "conflict") {
+        const before = segments[index - 1];
+        const after = segments[index + 1];
+        segment.hunk.contextBefore = before && before.type === "text" ? before.lines : [];
+        segment.hunk.contextAfter = after && after.type === "text" ? after.lines : [];
+      }
+    });
+
+    diagnostics.sort((a, b) => a.line - b.line);
+    return { segments, hunks, diagnostics, markerSize };
+  }
+}
@@ -0,0 +1,208 @@
+// GitHub Merge Conflict Helper - Conflict Session
+// Remembers every conflicted file of a pull request across GitHub's in-page
+// navigation, which recreates MergeConflictHelper on each URL change.
+// State lives in sessionStorage, so it is scoped to the tab.
+class ConflictSession {
+  constructor(key) {
+    this.key = key;
+    this.files = {};
+    this.batch = null;
+    this.policy = null;
+    this.pullRequest = null;
+    this.load();
+  }
+
+  // One session per pull request (or per page when there is no PR in the URL)
+  static forLocation(location) {
+    const pull = GitHubApi.parseLocation(location);
+    const scope = pull ? `${pull.owner}/${pull.repo}#${pull.pull}` : location.pathname;
+    return new ConflictSession(`merge-helper-session:${scope}`);
+  }
+
+  // FNV-1a, enough to tell whether a file's hunks changed between visits
+  static hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.key) || "null");
+      if (stored) {
+        this.files = stored.files || {};
+        this.batch = stored.batch || null;
+        this.policy = stored.policy || null;
+        this.pullRequest = stored.pullRequest || null;
+      }
+    } catch (error) {
+      this.files = {};
+      this.batch = null;
+      this.policy = null;
+      this.pullRequest = null;
+    }
+  }
+
+  save() {
+    try {
+      sessionStorage.setItem(
+        this.key,
+        JSON.stringify({
+          files: this.files,
+          batch: this.batch,
+          policy: this.policy,
+          pullRequest: this.pullRequest,
+        })
+      );
+    } catch (error) {
+      // Storage full or unavailable - the session simply won't survive navigation
+    }
+  }
+
+  // Registers the files listed on the page, keeping GitHub's order
+  syncFileList(paths) {
+    paths.forEach((path, order) => {
+      if (!this.files[path]) {
+        this.files[path] = {
+          path,
+          hunkCount: null,
+          resolvedCount: 0,
+          choices: null,
+          signature: null,
+          state: "unopened",
+        };
+      }
+      this.files[path].order = order;
+    });
+    this.save();
+  }
+
+  getFile(path) {
+    return path ? this.files[path] || null : null;
+  }
+
+  getOrderedFiles() {
+    return Object.values(this.files).sort(
+      (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity)
+    );
+  }
+
+  // Called whenever the helper re-parses the file currently in the editor.
+  // `errorCount` is the number of malformed conflict blocks, which parse to
+  // no hunks but leave the file far from resolved.
+  recordFile(path, { hunkCount, resolvedCount, choices, signature, errorCount = 0 }) {
+    if (!path) {
+      return;
+    }
+
+    const file = this.files[path] || { path, order: null };
+    this.files[path] = file;
+    file.errorCount = errorCount;
+
+    if (errorCount > 0) {
+      file.hunkCount = hunkCount;
+      file.resolvedCount = resolvedCount;
+      file.state = "blocked";
+    } else if (hunkCount > 0) {
+      file.hunkCount = hunkCount;
+      file.resolvedCount = resolvedCount;
+      file.choices = choices;
+      file.signature = signature;
+      file.state = resolvedCount === hunkCount ? "decided" : "partial";
+    } else if (file.hunkCount) {
+      // Markers are gone from the editor: the resolution was applied
+      file.resolvedCount = file.hunkCount;
+      file.state = "resolved";
+    } else {
+      file.hunkCount = 0;
+      file.state = "resolved";
+    }
+
+    this.save();
+  }
+
+  // Saved per-hunk choices, only if the file's hunks are unchanged
+  restoreChoices(path, signature) {
+    const file = this.getFile(path);
+    return file && file.signature === signature ? file.choices : null;
+  }
+
+  nextFile(path, { unresolvedOnly = false } = {}) {
+    const files = this.getOrderedFiles();
+    const index = files.findIndex((file) => file.path === path);
+    return (
+      files
+        .slice(index + 1)
+        .find((file) => !unresolvedOnly || file.state !== "resolved") || null
+    );
+  }
+
+  previousFile(path) {
+    const files = this.getOrderedFiles();
+    const index = files.findIndex((file) => file.path === path);
+    return index > 0 ? files[index - 1] : null;
+  }
+
+  startBatch(strategy, paths) {
+    this.batch = { strategy, pending: [...paths], skipped: [] };
+    this.save();
+  }
+
+  // Removes a file from the running batch; clears the batch when done and
+  // returns it, so its skipped files can be reported
+  completeBatchFile(path) {
+    if (!this.batch) {
+      return null;
+    }
+
+    const batch = this.batch;
+    batch.pending = batch.pending.filter((pending) => pending !== path);
+    if (batch.pending.length === 0) {
+      this.batch = null;
+    }
+    this.save();
+    return this.batch ? null : batch;
+  }
+
+  // A file the batch's strategy can't resolve: left as it is and reported
+  skipBatchFile(path) {
+    if (this.batch) {
+      this.batch.skipped = [...(this.batch.skipped || []), path];
+    }
+    return this.completeBatchFile(path);
+  }
+
+  // Caches the repo policy so file navigation doesn't refetch it
+  getPolicy(maxAge) {
+    if (!this.policy || Date.now() - this.policy.loadedAt > maxAge) {
+      return null;
+    }
+    return this.policy;
+  }
+
+  setPolicy(policy) {
+    this.policy = { ...policy, loadedAt: Date.now() };
+    this.save();
+  }
+
+  // Caches the pull request's metadata the same way
+  getPullRequest(maxAge) {
+    if (!this.pullRequest || Date.now() - this.pullRequest.loadedAt > maxAge) {
+      return null;
+    }
+    return this.pullRequest;
+  }
+
+  setPullRequest(pullRequest) {
+    this.pullRequest = { ...pullRequest, loadedAt: Date.now() };
+    this.save();
+  }
+
+  cancelBatch() {
+    this.batch = null;
+    this.save();
+  }
+}
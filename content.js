@@ -4,6 +4,47 @@ class MergeConflictHelper {
   constructor() {
     // Set debug mode based on extension manifest version or development detection
     this.debugMode = this.isDevelopmentMode();
+    this.hunkChoices = [];
+    this.applyToEditorMode = true;
+    this.editors = new EditorAdapters({
+      debug: (message, data) => this.debug(message, data),
+      onChange: () => this.scheduleStatusUpdate(),
+    });
+    this.session = ConflictSession.forLocation(window.location);
+    this.history = ActionHistory.forLocation(window.location);
+    this.historyBusy = false;
+    this.sessionSelection = new Set();
+    this.currentFile = null;
+    this.firedRules = [];
+    this.api = new GitHubApi();
+    this.policy = null;
+    // Whole-file strategies that merge by structure instead of by hunk
+    this.structuredMergers = { json: JsonMerge, yaml: YamlMerge };
+    this.structuredResolutions = {};
+    this.structuredResult = null;
+    this.reviewView = new ReviewView({
+      formatLabel: (label) => this.formatBranchName(label),
+    });
+    this.reviewTab = "review";
+    this.filePreview = null;
+    this.workspace = null;
+    this.keepBothOptions = { ...Settings.DEFAULTS.keepBoth };
+    this.trivialPolicy = { ...Settings.DEFAULTS.trivial };
+    this.guidedOptions = { ...Settings.DEFAULTS.guided };
+    this.guidedRunning = false;
+    // Resolves the guided step waiting for the user's answer
+    this.guidedPrompt = null;
+    this.recordedMatches = [];
+    // Files at the merge-base commit by path (null: not in the base)
+    this.baseFiles = new Map();
+    this.recoveredBases = null;
+    // Line endings, BOM and final newline of files on the head branch, by
+    // path (null: not there); the editors only hand out "\n"-joined text
+    this.headFormats = new Map();
+    // Commit that last touched each side of a hunk, by hunkCommitKey
+    this.commitContext = null;
+    this.hunkCommits = new Map();
+    this.hunkCommitsLoading = false;
     this.init();
     this.setupMessageListener();
   }
@@ -43,6 +84,7 @@ class MergeConflictHelper {
         sendResponse({
           hasConflicts: hasConflicts,
           conflictCount: conflictCount,
+          editor: this.editors.active ? this.editors.active.label : null,
         });
       }
     };
@@ -134,6 +176,9 @@ class MergeConflictHelper {
     let attempts = 0;
 
     while (attempts < maxAttempts) {
+      await this.editors.activate();
+      this.updateEditorBadge();
+
       const content = this.getContent();
       this.debug(
         `Content check attempt ${attempts + 1}: ${content.length} characters`,
@@ -219,288 +264,2433 @@ class MergeConflictHelper {
 
   async setupHelper() {
     this.debug("Setting up helper...");
+    const { keepBoth, trivial, guided, apiBaseUrl, enterpriseHost } = await Settings.load();
+    this.api = await this.createApi({ apiBaseUrl, enterpriseHost });
+    this.keepBothOptions = { ...Settings.DEFAULTS.keepBoth, ...keepBoth };
+    this.trivialPolicy = { ...Settings.DEFAULTS.trivial, ...trivial };
+    this.guidedOptions = { ...Settings.DEFAULTS.guided, ...guided };
+    await this.editors.activate();
+    this.refreshSessionFiles();
     this.detectBranches();
     this.addButtons();
+    this.updateEditorBadge();
     this.setupContentObserver();
+    this.setupHistoryShortcuts();
+    // Relabels the sides once the API answers; failures are handled inside
+    this.loadPullRequest();
 
     // Wait for content to load before checking conflicts
     const contentLoaded = await this.waitForContent();
     if (contentLoaded) {
       this.updateConflictStatus();
+      await this.loadRepoPolicy();
+      await this.applyRules();
     } else {
       // Fallback: try again after longer delay
       setTimeout(() => {
         this.updateConflictStatus();
       }, 2000);
     }
+
+    // A batch started before navigating here carries on in this instance
+    if (this.session.batch) {
+      this.continueBatch();
+    }
   }
 
-  detectBranches() {
-    this.debug("Detecting branch information...");
+  async loadRepoPolicy() {
+    // The team policy lives on the PR's base branch; cached for the tab session
+    const location = GitHubApi.parseLocation(window.location);
+    this.policyError = null;
+    if (!location) {
+      this.policy = null;
+      return;
+    }
 
-    // Method 1: Try to extract from conflict markers in content
-    const content = this.getContent();
-    const lines = content.split("\n");
+    let cached = this.session.getPolicy(10 * 60 * 1000);
+    if (!cached) {
+      try {
+        const loaded = await RepoPolicy.load(this.api, location);
+        this.session.setPolicy(loaded || { raw: null });
+        cached = this.session.policy;
+      } catch (error) {
+        this.debug("Repo policy could not be loaded:", error.message);
+        this.policyError = error.message;
+      }
+    }
 
-    let currentBranch = "current";
-    let incomingBranch = "incoming";
+    this.policy =
+      cached && cached.raw ? new RepoPolicy(cached.raw, cached) : null;
+    this.debug("Repo policy:", this.policy ? this.policy.source : "none");
+    this.renderPolicyInfo();
+  }
 
-    for (const line of lines) {
-      // Look for conflict start marker: <<<<<<< branch-name
-      const startMatch = line.match(/^<<<<<<< (.+)$/);
-      if (startMatch) {
-        currentBranch = startMatch[1].trim();
-        this.debug("Found current branch from conflict marker:", currentBranch);
-      }
+  getForbiddenStrategies(path = this.currentFile) {
+    return this.policy ? this.policy.forbiddenStrategies(path) : {};
+  }
 
-      // Look for conflict end marker: >>>>>>> branch-name
-      const endMatch = line.match(/^>>>>>>> (.+)$/);
-      if (endMatch) {
-        incomingBranch = endMatch[1].trim();
-        this.debug(
-          "Found incoming branch from conflict marker:",
-          incomingBranch
-        );
-      }
+  // Returns true when the repo policy allows delivering this content
+  passesPolicyChecks(content, path = this.currentFile) {
+    const failures = this.policy
+      ? this.policy.runChecks(path, content, {
+          markerSize: path === this.currentFile ? this.parsed?.markerSize : undefined,
+        })
+      : [];
+    if (failures.length > 0) {
+      this.updateStatus(
+        `🚫 Repo policy check failed: ${failures.join(", ")}`,
+        "error"
+      );
+      return false;
     }
+    return true;
+  }
 
-    // Method 2: Try to extract from page elements
-    if (currentBranch === "current" || incomingBranch === "incoming") {
-      this.detectBranchesFromPage();
+  renderPolicyInfo() {
+    const element = document.querySelector(".merge-helper-policy");
+    if (!element) {
+      return;
     }
 
-    // Method 3: Try to extract from URL
-    if (currentBranch === "current" || incomingBranch === "incoming") {
-      this.detectBranchesFromURL();
+    if (this.policyError) {
+      element.hidden = false;
+      element.innerHTML = `📜 Repo policy could not be loaded: ${this.escapeHtml(
+        this.policyError
+      )}`;
+      return;
     }
 
-    this.currentBranch = currentBranch;
-    this.incomingBranch = incomingBranch;
+    element.hidden = !this.policy;
+    if (!this.policy) {
+      return;
+    }
 
-    this.debug("Branch detection result:", {
-      current: this.currentBranch,
-      incoming: this.incomingBranch,
-    });
+    const forbidden = Object.keys(this.getForbiddenStrategies());
+    const checks = this.policy.checks.map(
+      (check) => RepoPolicy.CHECKS[check.check].label
+    );
+
+    element.innerHTML = `
+            📜 Repo policy <code>${this.escapeHtml(this.policy.source)}</code>
+            @ ${this.escapeHtml(this.policy.ref)}
+            · ${this.policy.rules.length} rule${this.policy.rules.length === 1 ? "" : "s"}
+            ${
+              forbidden.length
+                ? `· forbids <strong>${this.escapeHtml(forbidden.join(", "))}</strong> here`
+                : ""
+            }
+            ${checks.length ? `· required checks: ${this.escapeHtml(checks.join(", "))}` : ""}
+        `;
   }
 
-  detectBranchesFromPage() {
-    // Try to find branch names in the page DOM
-    const selectors = [
-      ".branch-name",
-      ".js-branch-name",
-      "[data-branch]",
-      ".head-ref",
-      ".base-ref",
-    ];
+  async applyRules() {
+    // Preselect hunks covered by the repo policy and the user's own rules
+    const { rules } = await Settings.load();
+    const personal = new RuleEngine(rules);
+    const file = this.currentFile;
+    const forbidden = this.getForbiddenStrategies(file);
+
+    this.syncHunks();
+    const hunks = this.parsed.hunks;
+    const personalMatches = personal.evaluate(file, hunks);
+    const repoMatches = this.policy
+      ? this.policy.engine.evaluate(file, hunks)
+      : hunks.map(() => null);
+    let changed = false;
+
+    // Repo policy rules win; a personal rule is never allowed a forbidden strategy
+    const matches = hunks.map((hunk, index) => {
+      const personalRule =
+        personalMatches[index] && !forbidden[personalMatches[index].strategy]
+          ? personalMatches[index]
+          : null;
+      const repoRule = repoMatches[index];
+
+      if (repoRule) {
+        return {
+          rule: repoRule,
+          source: "repo",
+          overrides:
+            personalRule && personalRule.strategy !== repoRule.strategy
+              ? personalRule
+              : null,
+        };
+      }
+      return personalRule ? { rule: personalRule, source: "personal" } : null;
+    });
 
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-      if (elements.length >= 2) {
-        this.currentBranch = elements[0].textContent?.trim() || "current";
-        this.incomingBranch = elements[1].textContent?.trim() || "incoming";
-        this.debug(
-          "Found branches from page elements:",
-          this.currentBranch,
-          this.incomingBranch
+    matches.forEach((match, index) => {
+      if (
+        match &&
+        !this.hunkChoices[index].choice &&
+        !this.structuredMergers[match.rule.strategy]
+      ) {
+        this.hunkChoices[index] = {
+          choice: match.rule.strategy,
+          rule: match.rule.id,
+        };
+        changed = true;
+      }
+    });
+
+    const fired = new Map();
+    for (const match of matches.filter(Boolean)) {
+      const entry = fired.get(match.rule.id) || {
+        id: match.rule.id,
+        pattern: match.rule.pattern,
+        contentPattern: match.rule.contentPattern,
+        strategy: match.rule.strategy,
+        source: match.source,
+        hunks: 0,
+        overrides: [],
+      };
+      entry.hunks++;
+      if (
+        match.overrides &&
+        !entry.overrides.some((rule) => rule.id === match.overrides.id)
+      ) {
+        entry.overrides.push(match.overrides);
+      }
+      fired.set(match.rule.id, entry);
+    }
+    this.firedRules = Array.from(fired.values());
+    this.renderFiredRules();
+
+    // Structured strategies work on the whole file rather than on hunks
+    const structured = matches.find(
+      (match) => match && this.structuredMergers[match.rule.strategy]
+    );
+    if (structured && file === this.currentFile) {
+      if (this.trivialPolicy.autoApply && this.applyToEditorMode) {
+        await this.resolveStructured(structured.rule.strategy, { userInitiated: false });
+      } else {
+        this.updateStatus(
+          `Rule ${structured.rule.pattern} suggests Smart Merge (${structured.rule.strategy.toUpperCase()})`,
+          "info"
         );
-        return;
       }
+      return;
     }
 
-    // Try to find in page text
-    const pageText = document.body.textContent;
-    const branchMatch = pageText.match(/merge\s+([^\s]+)\s+into\s+([^\s]+)/i);
-    if (branchMatch) {
-      this.incomingBranch = branchMatch[1];
-      this.currentBranch = branchMatch[2];
-      this.debug(
-        "Found branches from page text:",
-        this.currentBranch,
-        this.incomingBranch
+    // Trivially resolved hunks count too when deciding whether to write
+    if (!changed && this.getTrivialHunkCount() === 0) {
+      return;
+    }
+
+    this.debug("Resolution rules fired:", this.firedRules);
+    this.renderHunkList();
+    this.updateConflictStatus();
+    if (changed) {
+      this.recordHistory("Rules applied");
+    }
+
+    // Only write on its own when that is opted into and the rules decided
+    // every hunk; otherwise the choices wait for the user to apply them
+    if (
+      this.trivialPolicy.autoApply &&
+      this.applyToEditorMode &&
+      file === this.currentFile &&
+      this.getResolvedHunkCount() === this.parsed.hunks.length &&
+      !this.blockedByDiagnostics()
+    ) {
+      this.resolvedContent = this.buildResolution(this.parsed, this.hunkChoices);
+      await this.withHistory(changed ? "Rules applied" : "Trivial conflicts applied", () =>
+        this.deliverResolution(this.resolvedContent, changed ? "rule" : "trivial")
       );
     }
   }
 
-  detectBranchesFromURL() {
-    // Extract from URL if possible
-    const url = window.location.href;
-    const match = url.match(/\/pull\/\d+/);
-    if (match) {
-      // This is a PR conflict page, try to find branch info in the page title or meta
-      const title = document.title;
-      const titleMatch = title.match(/(.+)\s+by\s+(.+)/);
-      if (titleMatch) {
-        this.debug("Found potential branch info in title");
-      }
-    }
+  captureHistoryState() {
+    return {
+      signature: this.hunkSignature,
+      choices: JSON.parse(JSON.stringify(this.hunkChoices)),
+      structuredResolutions: { ...this.structuredResolutions },
+      resolvedContent: this.resolvedContent,
+      editorContent: this.getContent(),
+    };
   }
 
-  formatBranchName(branchName) {
-    // Clean up branch name for display
-    if (!branchName || branchName === "current" || branchName === "incoming") {
-      return branchName;
+  recordHistory(label, options) {
+    if (this.historyBusy || !this.currentFile || !this.parsed) {
+      return;
     }
 
-    // Remove common prefixes
-    const cleaned = branchName
-      .replace(/^(origin\/|refs\/heads\/|refs\/remotes\/)/, "")
-      .replace(/^HEAD$/, "current");
+    if (this.history.push(this.currentFile, label, this.captureHistoryState(), options)) {
+      this.renderHistory();
+    }
+  }
 
-    // Truncate if too long
-    return cleaned.length > 20 ? cleaned.substring(0, 17) + "..." : cleaned;
+  // Runs an action that may write to the editor and records the state it
+  // leaves as one step; the content observer must not see it as a manual edit
+  async withHistory(label, action) {
+    this.historyBusy = true;
+    try {
+      return await action();
+    } finally {
+      this.historyBusy = false;
+      this.recordHistory(label);
+    }
   }
 
-  addButtons() {
-    this.debug("Adding buttons...");
+  // Opening a file and editing it in GitHub's editor are steps too
+  noteEditorChange() {
+    if (this.historyBusy || !this.currentFile || !this.getContent()) {
+      return;
+    }
 
-    const existing = document.querySelector(".merge-helper-buttons");
-    if (existing) {
-      this.debug("Buttons already exist, removing old ones");
-      existing.remove();
+    const current = this.history.current(this.currentFile);
+    if (!current) {
+      this.recordHistory("Opened file");
+    } else if (current.state.editorContent !== this.getContent()) {
+      this.recordHistory("Edited in the editor", { coalesce: true });
+    } else {
+      this.renderHistory();
     }
+  }
 
-    // Expanded list of possible insertion targets
-    const insertionTargets = [
-      ".file-header",
-      ".Box-header",
-      ".file-navigation",
-      ".js-file-header",
-      ".repository-content",
-      ".application-main",
-      "main",
-      "body",
-    ];
+  undoAction() {
+    const { steps, cursor } = this.history.get(this.currentFile);
+    return this.goToHistoryStep(cursor - 1, `↶ Undid "${steps[cursor]?.label}"`);
+  }
 
-    let insertionPoint = null;
+  redoAction() {
+    const { steps, cursor } = this.history.get(this.currentFile);
+    return this.goToHistoryStep(cursor + 1, `↷ Redid "${steps[cursor + 1]?.label}"`);
+  }
 
-    for (const selector of insertionTargets) {
-      const element = document.querySelector(selector);
-      if (element) {
-        insertionPoint = element;
-        this.debug("Found insertion point:", selector);
-        break;
+  async goToHistoryStep(index, message = null) {
+    const { steps, cursor } = this.history.get(this.currentFile);
+    const step = steps[index];
+    if (!step || index === cursor || this.historyBusy) {
+      return;
+    }
+
+    const { state } = step;
+    this.historyBusy = true;
+    try {
+      // Only steps that changed the editor need to write to it
+      if (
+        state.editorContent !== this.getContent() &&
+        !(await this.applyToEditor(state.editorContent))
+      ) {
+        this.updateStatus("❌ Editor not reachable - could not restore that step", "error");
+        return;
+      }
+
+      this.history.moveTo(this.currentFile, index);
+      this.syncHunks();
+      if (this.hunkSignature === state.signature) {
+        this.hunkChoices = JSON.parse(JSON.stringify(state.choices));
+        this.structuredResolutions = { ...state.structuredResolutions };
       }
+      this.resolvedContent = state.resolvedContent;
+      this.renderHunkList();
+      this.updateConflictStatus();
+    } finally {
+      this.historyBusy = false;
     }
 
-    if (!insertionPoint) {
-      this.debug("No insertion point found, cannot add buttons");
+    this.renderHistory();
+    this.updateStatus(message || `Restored "${step.label}"`, "info");
+  }
+
+  renderHistory() {
+    const element = document.querySelector(".merge-helper-history");
+    if (!element) {
       return;
     }
 
-    const buttonContainer = document.createElement("div");
-    buttonContainer.className = "merge-helper-buttons";
-    buttonContainer.style.cssText = `
-            padding: 12px 16px;
-            background: #1e1e1e;
-            border: 1px solid #333;
-            border-radius: 6px;
-            margin: 12px 0;
-            display: flex;
-            flex-direction: column;
-            gap: 12px;
-            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-            position: relative;
-            z-index: 1000;
-        `;
-
-    const currentDisplay = this.formatBranchName(this.currentBranch);
-    const incomingDisplay = this.formatBranchName(this.incomingBranch);
+    const { steps, cursor } = this.history.get(this.currentFile);
+    element.querySelector(".merge-helper-undo").disabled = !this.history.canUndo(this.currentFile);
+    element.querySelector(".merge-helper-redo").disabled = !this.history.canRedo(this.currentFile);
+    element.querySelector("summary").textContent = `History (${steps.length})`;
+
+    // Newest first; steps after the cursor were undone and can be redone
+    element.querySelector("ol").innerHTML = steps
+      .map(
+        (step, index) => `
+            <li data-step="${index}" class="${
+              index === cursor ? "current" : index > cursor ? "undone" : ""
+            }">
+                <time>${new Date(step.at).toLocaleTimeString()}</time>
+                ${this.escapeHtml(step.label)}
+            </li>`
+      )
+      .reverse()
+      .join("");
+  }
 
-    buttonContainer.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center;">
-                <div style="font-weight: 600; color: #58a6ff;">
-                    🔧 Conflict Helper
-                </div>
-                <span class="merge-helper-status" style="
-                    color: #f0883e; font-weight: 500;
-                ">Ready to resolve conflicts</span>
-            </div>
-            <div style="display: flex; gap: 6px; align-items: center; flex-wrap: wrap;">
-                <button class="btn btn-sm merge-helper-current" style="
-                    background: #238636; color: white; border: none; 
-                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
-                    font-size: 12px; white-space: nowrap;
-                ">Accept All Current ${
-                  currentDisplay ? `(${currentDisplay})` : ""
-                }</button>
-                <button class="btn btn-sm merge-helper-incoming" style="
-                    background: #1f6feb; color: white; border: none; 
-                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
-                    font-size: 12px; white-space: nowrap;
-                ">Accept All Incoming ${
-                  incomingDisplay ? `(${incomingDisplay})` : ""
-                }</button>
-                <button class="btn btn-sm merge-helper-both" style="
-                    background: #8957e5; color: white; border: none; 
-                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
-                    font-size: 12px;
-                ">Keep Both</button>
-                <button class="btn btn-sm merge-helper-show" style="
-                    background: #f0883e; color: white; border: none; 
-                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
-                    font-size: 12px;
-                ">Show Resolved</button>
-            </div>
-        `;
+  // Alt+Z / Alt+Shift+Z, so the editor keeps Ctrl+Z for its own undo
+  setupHistoryShortcuts() {
+    // setupHelper runs again whenever the panel has to be rebuilt; one
+    // listener per instance, removed in cleanup()
+    if (this.onHistoryKey) {
+      return;
+    }
 
-    // Try different insertion strategies
-    try {
-      if (insertionPoint.classList.contains("file-header")) {
-        insertionPoint.insertAdjacentElement("afterend", buttonContainer);
-      } else if (
-        insertionPoint.tagName === "MAIN" ||
-        insertionPoint.classList.contains("application-main")
+    this.onHistoryKey = (event) => {
+      if (
+        event.code !== "KeyZ" ||
+        !event.altKey ||
+        event.ctrlKey ||
+        event.metaKey ||
+        !document.querySelector(".merge-helper-buttons")
       ) {
-        insertionPoint.insertAdjacentElement("afterbegin", buttonContainer);
+        return;
+      }
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.redoAction();
       } else {
-        insertionPoint.insertAdjacentElement("afterbegin", buttonContainer);
+        this.undoAction();
       }
+    };
+    document.addEventListener("keydown", this.onHistoryKey);
+  }
 
-      this.debug("Buttons added successfully");
-      this.attachEventListeners(buttonContainer);
+  // Records the hunks the user decided, so the same conflict can be resolved
+  // the same way when it comes back. Rule and trivial decisions aren't
+  // recorded: they are made again on their own.
+  rememberResolutions(parsed = this.parsed, choices = this.hunkChoices) {
+    const records = parsed.hunks
+      .filter((hunk) => hunk.kind === "conflict")
+      .filter((hunk) => {
+        const decision = choices[hunk.index];
+        return decision && decision.choice && !decision.rule && !decision.trivial;
+      })
+      .map((hunk) => ({ hunk, result: this.resolveHunk(hunk, choices[hunk.index]) }))
+      .filter((record) => record.result !== null);
+    if (records.length === 0) {
+      return;
+    }
+
+    const location = GitHubApi.parseLocation(window.location);
+    ResolutionMemory.record(records, {
+      repo: location ? `${location.owner}/${location.repo}` : null,
+      file: this.currentFile,
+    }).catch((error) => this.debug("Could not record resolutions:", error.message));
+  }
+
+  async checkRecordedResolutions() {
+    const signature = this.hunkSignature;
+    const undecided = this.parsed.hunks.filter(
+      (hunk) => hunk.kind === "conflict" && !this.hunkChoices[hunk.index]?.choice
+    );
+
+    let matches = [];
+    try {
+      matches = undecided.length > 0 ? await ResolutionMemory.lookup(undecided) : [];
     } catch (error) {
-      this.debug("Error adding buttons:", error);
+      this.debug("Could not look up recorded resolutions:", error.message);
+    }
+
+    // The file changed while looking
+    if (signature !== this.hunkSignature) {
+      return;
     }
+    this.recordedMatches = matches;
+    this.renderRecordedOffer();
   }
 
-  attachEventListeners(container) {
-    const currentBtn = container.querySelector(".merge-helper-current");
-    const incomingBtn = container.querySelector(".merge-helper-incoming");
-    const bothBtn = container.querySelector(".merge-helper-both");
-    const showBtn = container.querySelector(".merge-helper-show");
+  renderRecordedOffer() {
+    const element = document.querySelector(".merge-helper-recorded");
+    if (!element) {
+      return;
+    }
 
-    if (currentBtn)
-      currentBtn.addEventListener("click", () =>
-        this.resolveConflicts("current")
-      );
-    if (incomingBtn)
-      incomingBtn.addEventListener("click", () =>
-        this.resolveConflicts("incoming")
+    const count = this.recordedMatches.length;
+    element.hidden = count === 0;
+    element.innerHTML =
+      count === 0
+        ? ""
+        : `
+            <span>
+                ♻ ${count === 1 ? "Conflict" : "Conflicts"} ${this.recordedMatches
+                  .map(({ hunk }) => hunk.index + 1)
+                  .join(", ")} ${
+                  count === 1 ? "was" : "were"
+                } resolved before - reapply the recorded result${count === 1 ? "" : "s"}?
+            </span>
+            <button type="button" class="merge-helper-recorded-apply">Reapply</button>
+            <button type="button" class="merge-helper-recorded-dismiss">Dismiss</button>
+        `;
+  }
+
+  // Recorded results come back as custom text, so they can still be edited
+  reapplyRecorded() {
+    const forbidden = this.getForbiddenStrategies().custom;
+    if (forbidden) {
+      this.updateStatus(`🚫 ${forbidden}`, "error");
+      return;
+    }
+
+    const applied = [];
+    for (const { hunk, entry } of this.recordedMatches) {
+      const decision = this.hunkChoices[hunk.index];
+      if (decision && !decision.choice) {
+        this.hunkChoices[hunk.index] = {
+          choice: "custom",
+          customText: entry.result.join("\n"),
+          memory: entry.fingerprint,
+        };
+        applied.push(entry.fingerprint);
+      }
+    }
+
+    this.recordedMatches = [];
+    this.renderRecordedOffer();
+    this.renderHunkList();
+    this.updateConflictStatus();
+    this.recordHistory("Reapplied recorded resolutions");
+    ResolutionMemory.markUsed(applied).catch((error) =>
+      this.debug("Could not update recorded resolutions:", error.message)
+    );
+    this.updateStatus(
+      `♻ Reapplied ${applied.length} recorded resolution${
+        applied.length === 1 ? "" : "s"
+      } - review, then apply`,
+      "success"
+    );
+  }
+
+  renderFiredRules() {
+    const element = document.querySelector(".merge-helper-rules");
+    if (!element) {
+      return;
+    }
+
+    element.hidden = this.firedRules.length === 0;
+    element.innerHTML = this.firedRules
+      .map(
+        (rule) => `
+            <span class="merge-helper-rule ${rule.source}">
+                ${rule.source === "repo" ? "Repo policy rule" : "Rule"} fired:
+                <code>${this.escapeHtml(rule.pattern)}</code>${
+                  rule.contentPattern
+                    ? ` matching <code>${this.escapeHtml(rule.contentPattern)}</code>`
+                    : ""
+                } → ${this.escapeHtml(rule.strategy)}
+                (${rule.hunks} hunk${rule.hunks === 1 ? "" : "s"})
+                ${rule.overrides
+                  .map(
+                    (personal) => `
+                <strong class="merge-helper-rule-override">
+                    ⚠ overrides your rule <code>${this.escapeHtml(
+                      personal.pattern
+                    )}</code> → ${this.escapeHtml(personal.strategy)}
+                </strong>`
+                  )
+                  .join("")}
+            </span>`
+      )
+      .join("");
+  }
+
+  findConflictFileLinks() {
+    // The file list on GitHub's /pull/N/conflicts page
+    const selectors = [
+      ".js-conflict-file-list a",
+      ".conflict-file-list a",
+      "a.js-conflicted-file",
+      "[data-conflict-filename]",
+      "nav a[href*='/conflicts?name=']",
+    ];
+
+    for (const selector of selectors) {
+      const links = Array.from(document.querySelectorAll(selector));
+      if (links.length > 0) {
+        return links;
+      }
+    }
+
+    return [];
+  }
+
+  getLinkPath(link) {
+    return (
+      link.dataset.conflictFilename ||
+      link.dataset.filename ||
+      link.dataset.path ||
+      link.getAttribute("title") ||
+      link.textContent ||
+      ""
+    ).trim();
+  }
+
+  detectCurrentFile() {
+    // Method 1: the selected entry in the conflict file list
+    const selected = this.findConflictFileLinks().find(
+      (link) =>
+        link.matches(
+          ".selected, .is-selected, [aria-current='true'], [aria-current='page']"
+        ) || link.closest("li.selected, li.is-selected")
+    );
+    if (selected) {
+      return this.getLinkPath(selected);
+    }
+
+    // Method 2: the file name in the URL
+    const nameParam = new URLSearchParams(window.location.search).get("name");
+    if (nameParam) {
+      return nameParam;
+    }
+
+    // Method 3: the editor's file header
+    const selectors = [
+      ".file-header [data-path]",
+      ".js-file-header [data-path]",
+      "input[name='filename']",
+    ];
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const path = element && (element.dataset.path || element.value);
+      if (path) {
+        return path.trim();
+      }
+    }
+
+    return null;
+  }
+
+  refreshSessionFiles() {
+    const paths = this.findConflictFileLinks().map((link) =>
+      this.getLinkPath(link)
+    );
+    if (paths.length > 0) {
+      this.session.syncFileList(paths);
+    }
+    this.currentFile = this.detectCurrentFile();
+    this.debug("Current conflict file:", this.currentFile);
+  }
+
+  openFile(path) {
+    const link = this.findConflictFileLinks().find(
+      (candidate) => this.getLinkPath(candidate) === path
+    );
+    if (!link) {
+      return false;
+    }
+
+    link.click();
+    return true;
+  }
+
+  async waitForFile(path) {
+    const maxAttempts = 20;
+    let attempts = 0;
+
+    while (attempts < maxAttempts && !this.destroyed) {
+      if (this.detectCurrentFile() === path) {
+        // Give the editor a moment to swap in the new file's content
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        await this.editors.activate();
+        this.currentFile = path;
+        return true;
+      }
+
+      attempts++;
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+
+    return false;
+  }
+
+  startBatch() {
+    const strategy = document.querySelector(".merge-helper-session-strategy")?.value;
+    const paths = this.session
+      .getOrderedFiles()
+      .map((file) => file.path)
+      .filter((path) => this.sessionSelection.has(path));
+
+    if (!strategy || paths.length === 0) {
+      this.updateStatus("Select at least one file for the batch", "warning");
+      return;
+    }
+
+    this.debug(`Starting batch (${strategy}):`, paths);
+    this.sessionSelection.clear();
+    this.session.startBatch(strategy, paths);
+    this.continueBatch();
+  }
+
+  async continueBatch() {
+    if (this.batchRunning) {
+      return;
+    }
+    this.batchRunning = true;
+
+    try {
+      while (this.session.batch && !this.destroyed) {
+        const { strategy, pending } = this.session.batch;
+        const path = pending[0];
+
+        if (path !== this.currentFile) {
+          this.updateStatus(`Batch: opening ${path}…`, "info");
+          if (!this.openFile(path) || !(await this.waitForFile(path))) {
+            // A navigation may have replaced this instance, which then takes over
+            if (!this.destroyed) {
+              this.updateStatus(`Batch stopped: could not open ${path}`, "error");
+              this.session.cancelBatch();
+            }
+            break;
+          }
+        }
+
+        const forbidden = this.getForbiddenStrategies(path)[strategy];
+        if (forbidden) {
+          this.updateStatus(`🚫 Batch stopped at ${path}: ${forbidden}`, "error");
+          this.session.cancelBatch();
+          break;
+        }
+
+        this.syncHunks();
+        if (this.blockedByDiagnostics(this.parsed, path)) {
+          this.session.cancelBatch();
+          break;
+        }
+        // Like the per-hunk "Base" choice, "base" needs a base section in
+        // every hunk; otherwise the markers would stay in the file
+        if (strategy === "base" && this.parsed.hunks.some((hunk) => hunk.base === null)) {
+          this.updateStatus(`Batch: skipped ${path} - not every conflict has a base`, "warning");
+          this.reportBatchEnd(this.session.skipBatchFile(path));
+          continue;
+        }
+        if (this.parsed.hunks.length > 0) {
+          this.hunkChoices = this.parsed.hunks.map(() => ({ choice: strategy }));
+          const content = this.buildResolution(this.parsed, this.hunkChoices);
+
+          if (!this.passesPolicyChecks(content, path)) {
+            this.session.cancelBatch();
+            break;
+          }
+
+          // Batches need the editor: the clipboard can only hold one file
+          const written = await this.withHistory(`Batch: ${strategy}`, () =>
+            this.applyToEditor(content)
+          );
+          if (!written) {
+            this.updateStatus(
+              `Batch stopped: editor not reachable for ${path}`,
+              "error"
+            );
+            this.session.cancelBatch();
+            break;
+          }
+        }
+
+        this.updateConflictStatus();
+        this.reportBatchEnd(this.session.completeBatchFile(path));
+      }
+    } finally {
+      this.batchRunning = false;
+      this.renderSessionView();
+    }
+  }
+
+  // `batch` is the batch that just finished, or null while it's running
+  reportBatchEnd(batch) {
+    if (!batch || !batch.skipped || batch.skipped.length === 0) {
+      return;
+    }
+
+    const count = batch.skipped.length;
+    this.updateStatus(
+      `Batch (${batch.strategy}) done - skipped ${count} file${
+        count === 1 ? "" : "s"
+      } without a base: ${batch.skipped.join(", ")}`,
+      "warning"
+    );
+  }
+
+  stepFile(direction) {
+    const target =
+      direction === "next"
+        ? this.session.nextFile(this.currentFile)
+        : this.session.previousFile(this.currentFile);
+
+    if (!target || !this.openFile(target.path)) {
+      this.updateStatus(`No ${direction} file`, "warning");
+    }
+  }
+
+  renderSessionView() {
+    const view = document.querySelector(".merge-helper-session");
+    if (!view) {
+      return;
+    }
+
+    const files = this.session.getOrderedFiles();
+    view.hidden = files.length < 2;
+    if (view.hidden) {
+      return;
+    }
+
+    const stateLabels = {
+      unopened: "not opened yet",
+      partial: "in progress",
+      decided: "decided, not applied",
+      resolved: "✓ resolved",
+    };
+    const resolvedFiles = files.filter((file) => file.state === "resolved").length;
+    const batch = this.session.batch;
+
+    view.innerHTML = `
+            <details ${this.sessionViewClosed ? "" : "open"}>
+                <summary>Conflicted files (${resolvedFiles} of ${files.length} resolved)</summary>
+                <table>
+                    ${files
+                      .map(
+                        (file) => `
+                    <tr data-path="${this.escapeHtml(file.path)}" class="${
+                          file.path === this.currentFile ? "current" : ""
+                        } ${file.state}">
+                        <td><input type="checkbox" class="merge-helper-session-select" ${
+                          this.sessionSelection.has(file.path) ? "checked" : ""
+                        }></td>
+                        <td><a href="#" class="merge-helper-session-open">${this.escapeHtml(
+                          file.path
+                        )}</a></td>
+                        <td>${
+                          file.hunkCount === null
+                            ? "–"
+                            : `${file.hunkCount} hunk${file.hunkCount === 1 ? "" : "s"}`
+                        }</td>
+                        <td>${
+                          file.state === "partial"
+                            ? `${file.resolvedCount} of ${file.hunkCount} decided`
+                            : file.state === "blocked"
+                              ? `⚠ ${file.errorCount} malformed conflict${
+                                  file.errorCount === 1 ? "" : "s"
+                                }`
+                              : stateLabels[file.state]
+                        }</td>
+                    </tr>`
+                      )
+                      .join("")}
+                </table>
+                <div class="merge-helper-session-actions">
+                    <select class="merge-helper-session-strategy">
+                        <option value="current">Current</option>
+                        <option value="incoming">Incoming</option>
+                        <option value="both">Both</option>
+                        <option value="base">Base</option>
+                    </select>
+                    <button type="button" class="merge-helper-session-batch">Apply to selected</button>
+                    <button type="button" class="merge-helper-session-prev">← Previous file</button>
+                    <button type="button" class="merge-helper-session-next">Next file →</button>
+                </div>
+                ${
+                  batch
+                    ? `<div class="merge-helper-session-batch-status">
+                        Batch (${batch.strategy}): ${batch.pending.length} file${
+                        batch.pending.length === 1 ? "" : "s"
+                      } left
+                        <button type="button" class="merge-helper-session-cancel">Cancel</button>
+                    </div>`
+                    : ""
+                }
+            </details>
+        `;
+  }
+
+  detectBranches() {
+    this.debug("Detecting branch information...");
+
+    // Method 1: the pull request's refs from the API (see loadPullRequest)
+    if (this.pullRequest) {
+      this.currentBranch = this.pullRequest.head.ref;
+      this.incomingBranch = this.pullRequest.base.ref;
+      this.debug("Branches from the pull request:", {
+        current: this.currentBranch,
+        incoming: this.incomingBranch,
+      });
+      return;
+    }
+
+    // Method 2: Try to extract from conflict markers in content
+    const { hunks } = this.parseConflicts(this.getContent());
+
+    let currentBranch = "current";
+    let incomingBranch = "incoming";
+
+    // Labels of the conflict markers: <<<<<<< branch-name / >>>>>>> branch-name
+    for (const hunk of hunks) {
+      if (hunk.currentLabel) {
+        currentBranch = hunk.currentLabel;
+        this.debug("Found current branch from conflict marker:", currentBranch);
+      }
+      if (hunk.incomingLabel) {
+        incomingBranch = hunk.incomingLabel;
+        this.debug("Found incoming branch from conflict marker:", incomingBranch);
+      }
+    }
+
+    // Method 3: Guess from the page (offline, or not a pull request page)
+    if (currentBranch === "current" || incomingBranch === "incoming") {
+      const fromPage = this.detectBranchesFromPage();
+      if (fromPage) {
+        currentBranch = currentBranch === "current" ? fromPage.current : currentBranch;
+        incomingBranch = incomingBranch === "incoming" ? fromPage.incoming : incomingBranch;
+      }
+    }
+
+    this.currentBranch = currentBranch;
+    this.incomingBranch = incomingBranch;
+
+    this.debug("Branch detection result:", {
+      current: this.currentBranch,
+      incoming: this.incomingBranch,
+    });
+  }
+
+  // Returns { current, incoming } guessed from the page, or null
+  detectBranchesFromPage() {
+    // Try to find branch names in the page DOM
+    const selectors = [
+      ".branch-name",
+      ".js-branch-name",
+      "[data-branch]",
+      ".head-ref",
+      ".base-ref",
+    ];
+
+    for (const selector of selectors) {
+      const elements = document.querySelectorAll(selector);
+      if (elements.length >= 2) {
+        const branches = {
+          current: elements[0].textContent?.trim() || "current",
+          incoming: elements[1].textContent?.trim() || "incoming",
+        };
+        this.debug("Found branches from page elements:", branches);
+        return branches;
+      }
+    }
+
+    // Try to find in page text
+    const pageText = document.body.textContent;
+    const branchMatch = pageText.match(/merge\s+([^\s]+)\s+into\s+([^\s]+)/i);
+    if (branchMatch) {
+      const branches = { current: branchMatch[2], incoming: branchMatch[1] };
+      this.debug("Found branches from page text:", branches);
+      return branches;
+    }
+
+    return null;
+  }
+
+  // On a GitHub Enterprise host the API lives at /api/v3 of that host; tokens
+  // are stored per host name
+  async createApi({ apiBaseUrl, enterpriseHost }) {
+    // With its port, which an Enterprise host setting may include
+    const host = window.location.host;
+    const tokens = await Settings.loadTokens();
+    const baseUrl =
+      enterpriseHost && host === enterpriseHost
+        ? GitHubApi.enterpriseBaseUrl(host)
+        : apiBaseUrl || Settings.DEFAULTS.apiBaseUrl;
+
+    return new GitHubApi({
+      baseUrl,
+      token: GitHubApi.tokenFor(baseUrl, tokens, enterpriseHost),
+      onRateLimit: (until) => this.renderRateLimit(until),
+    });
+  }
+
+  // "Rate limited until HH:MM" in the panel while API calls are paused
+  renderRateLimit(until) {
+    const element = document.querySelector(".merge-helper-rate-limit");
+    clearTimeout(this.rateLimitTimer);
+    if (!element) {
+      return;
+    }
+
+    element.hidden = !until;
+    if (!until) {
+      return;
+    }
+
+    const time = new Date(until).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    element.textContent = `⏳ GitHub API rate limited until ${time}${
+      this.api.token ? "" : " - add a token in the extension options for a higher limit"
+    }. Branches, merge base and commit details are paused.`;
+    this.rateLimitTimer = setTimeout(() => {
+      element.hidden = true;
+      this.loadPullRequest();
+    }, Math.max(0, until - Date.now()) + 1000);
+  }
+
+  // Head/base refs, SHAs, author and mergeable state of the pull request;
+  // cached for the tab session like the repo policy
+  async loadPullRequest() {
+    const location = GitHubApi.parseLocation(window.location);
+    if (!location) {
+      this.pullRequest = null;
+      return;
+    }
+
+    let cached = this.session.getPullRequest(5 * 60 * 1000);
+    if (!cached) {
+      try {
+        const info = await this.api.getPullRequestInfo(
+          location.owner,
+          location.repo,
+          location.pull
+        );
+        try {
+          info.mergeBase = await this.api.getMergeBase(
+            location.owner,
+            location.repo,
+            info.base.sha,
+            info.head.sha
+          );
+        } catch (error) {
+          this.debug("Merge base could not be found:", error.message);
+          info.mergeBase = null;
+        }
+        this.session.setPullRequest(info);
+        cached = this.session.pullRequest;
+      } catch (error) {
+        // Offline or rate limited: the markers and page heuristics still work
+        this.debug("Pull request could not be loaded:", error.message);
+        cached = this.session.pullRequest;
+      }
+    }
+
+    this.pullRequest = cached;
+    if (this.pullRequest) {
+      this.detectBranches();
+      this.updateBranchLabels();
+    }
+    this.renderPullRequestInfo();
+    await this.loadHeadFormat();
+    await this.loadMergeBaseFile();
+    await this.loadHunkCommits();
+  }
+
+  // Reads the current file's format from its raw bytes on the head branch,
+  // where the current side's lines come from
+  async loadHeadFormat(path = this.currentFile) {
+    const location = GitHubApi.parseLocation(window.location);
+    const head = this.pullRequest?.head?.sha;
+    if (!location || !head || !path || this.headFormats.has(path)) {
+      return;
+    }
+
+    try {
+      const text = await this.api.getFileContent(location.owner, location.repo, path, head, {
+        keepBom: true,
+      });
+      this.headFormats.set(path, text === null ? null : TextFormat.detect(text));
+    } catch (error) {
+      this.debug("Head-branch version could not be loaded:", error.message);
+      return;
+    }
+
+    if (path === this.currentFile) {
+      this.syncHunks();
+      this.updateFormatBadge();
+    }
+  }
+
+  // Fetches the current file as it was at the merge base, for hunks whose
+  // markers have no base section
+  async loadMergeBaseFile(path = this.currentFile) {
+    const location = GitHubApi.parseLocation(window.location);
+    const mergeBase = this.pullRequest?.mergeBase;
+    if (!location || !mergeBase || !path) {
+      return;
+    }
+
+    if (!this.baseFiles.has(path)) {
+      try {
+        this.baseFiles.set(
+          path,
+          await this.api.getFileContent(location.owner, location.repo, path, mergeBase)
+        );
+      } catch (error) {
+        this.debug("Merge-base version could not be loaded:", error.message);
+        return;
+      }
+    }
+
+    if (path === this.currentFile && this.parsed) {
+      this.applyMergeBase();
+    }
+  }
+
+  // Recovered base lines, computed once per file and set of hunks
+  attachMergeBase(
+    parsed,
+    signature = parsed.hunks.map((hunk) => hunk.raw.join("\n")).join("\u0000")
+  ) {
+    const baseText = this.baseFiles.get(this.currentFile);
+    if (baseText === undefined || baseText === null) {
+      return;
+    }
+
+    const cached = this.recoveredBases;
+    if (!cached || cached.file !== this.currentFile || cached.signature !== signature) {
+      this.recoveredBases = {
+        file: this.currentFile,
+        signature,
+        bases: ThreeWayMerge.recoverBases(parsed, TextFormat.normalize(baseText)),
+      };
+    }
+
+    const label = `merge base ${this.pullRequest.mergeBase.substring(0, 7)}`;
+    parsed.hunks.forEach((hunk, index) => {
+      const base = this.recoveredBases.bases[index];
+      if (hunk.base === null && base) {
+        hunk.base = base;
+        hunk.baseLabel = label;
+        hunk.baseRecovered = true;
+      }
+    });
+  }
+
+  hunkCommitKey(hunk, side) {
+    return `${this.currentFile}\u0000${side}\u0000${hunk[side].join("\n")}`;
+  }
+
+  // Looks up, one hunk side at a time, the commit on the head (current) and
+  // base (incoming) branch that last touched its lines. Results are shown as
+  // they arrive and kept for the page, so a re-render doesn't fetch again.
+  async loadHunkCommits() {
+    const location = GitHubApi.parseLocation(window.location);
+    const pr = this.pullRequest;
+    if (!location || !pr || !this.currentFile || this.hunkCommitsLoading) {
+      return;
+    }
+
+    if (!this.commitContext) {
+      this.commitContext = new CommitContext(this.api, location);
+    }
+
+    this.hunkCommitsLoading = true;
+    const signature = this.hunkSignature;
+    const refs = { current: pr.head.sha, incoming: pr.base.sha };
+
+    try {
+      for (const hunk of (this.parsed || this.syncHunks()).hunks) {
+        for (const side of ["current", "incoming"]) {
+          const key = this.hunkCommitKey(hunk, side);
+          if (this.hunkCommits.has(key)) {
+            continue;
+          }
+          this.hunkCommits.set(
+            key,
+            await this.commitContext.lastTouching(
+              this.currentFile,
+              refs[side],
+              pr.mergeBase,
+              hunk[side]
+            )
+          );
+          this.renderHunkCommits();
+        }
+        // Another file or another set of hunks: start over for those
+        if (this.hunkSignature !== signature) {
+          break;
+        }
+      }
+    } catch (error) {
+      // Offline or rate limited: the cards simply show no commit
+      this.debug("Commit context could not be loaded:", error.message);
+    } finally {
+      this.hunkCommitsLoading = false;
+    }
+
+    if (this.hunkSignature !== signature) {
+      await this.loadHunkCommits();
+    }
+  }
+
+  // Fills the commit line of every hunk card in place
+  renderHunkCommits() {
+    for (const slot of document.querySelectorAll(".merge-helper-hunk-commit")) {
+      const card = slot.closest(".merge-helper-hunk");
+      const hunk = this.parsed?.hunks[Number(card?.dataset.hunkIndex)];
+      if (hunk) {
+        slot.innerHTML = this.renderCommitLine(
+          this.hunkCommits.get(this.hunkCommitKey(hunk, slot.dataset.side))
+        );
+      }
+    }
+  }
+
+  renderCommitLine(commit) {
+    if (!commit) {
+      return "";
+    }
+
+    const date = commit.date ? new Date(commit.date).toLocaleDateString() : "";
+    return `
+            <a href="${this.escapeHtml(commit.url)}" target="_blank" rel="noopener"
+                title="${commit.approximate ? "Latest commit to the file on this branch" : "Last commit to touch these lines"}">
+                <code>${commit.shortSha}</code></a>
+            <span class="merge-helper-hunk-commit-author">${this.escapeHtml(commit.author)}</span>
+            ${date ? `<time>${date}</time>` : ""}
+            <span class="merge-helper-hunk-commit-message">${
+              commit.approximate ? "~ " : ""
+            }${this.escapeHtml(commit.message)}</span>
+        `;
+  }
+
+  // Once the base is known, undecided hunks where only one side changed (or
+  // whose changes merge cleanly) get the trivial-conflict policy's choice
+  applyMergeBase() {
+    this.syncHunks();
+    const decisions = this.getTrivialChoices(this.parsed.hunks);
+    let resolved = 0;
+
+    decisions.forEach((decision, index) => {
+      if (decision.choice && !this.hunkChoices[index].choice) {
+        this.hunkChoices[index] = decision;
+        resolved++;
+      }
+    });
+
+    this.renderHunkList();
+    this.updateConflictStatus();
+    if (resolved > 0) {
+      this.recordHistory("Merge base applied");
+    }
+  }
+
+  updateBranchLabels() {
+    const labels = [
+      [".merge-helper-current", "Accept All Current", this.currentBranch],
+      [".merge-helper-incoming", "Accept All Incoming", this.incomingBranch],
+    ];
+
+    for (const [selector, text, branch] of labels) {
+      const button = document.querySelector(selector);
+      const display = this.formatBranchName(branch);
+      if (button) {
+        button.textContent = display ? `${text} (${display})` : text;
+        button.title = branch || "";
+      }
+    }
+  }
+
+  renderPullRequestInfo() {
+    const element = document.querySelector(".merge-helper-pr");
+    if (!element) {
+      return;
+    }
+
+    const pr = this.pullRequest;
+    element.hidden = !pr;
+    if (!pr) {
+      return;
+    }
+
+    const side = (name, ref) => `
+            <span class="merge-helper-pr-side">
+                ${name} <code>${this.escapeHtml(ref.ref)}</code>
+                <span class="merge-helper-pr-sha">${this.escapeHtml((ref.sha || "").substring(0, 7))}</span>
+            </span>`;
+
+    element.innerHTML = `
+            <a href="${this.escapeHtml(pr.url || "")}" target="_blank" rel="noopener">#${pr.number}</a>
+            ${pr.author ? `by @${this.escapeHtml(pr.author)}` : ""}
+            · ${side("current", pr.head)} ← ${side("incoming", pr.base)}
+            · <span class="merge-helper-pr-state ${this.escapeHtml(pr.mergeableState)}">${this.escapeHtml(
+              pr.mergeableState
+            )}</span>
+        `;
+  }
+
+  formatBranchName(branchName) {
+    // Clean up branch name for display
+    if (!branchName || branchName === "current" || branchName === "incoming") {
+      return branchName;
+    }
+
+    // Remove common prefixes
+    const cleaned = branchName
+      .replace(/^(origin\/|refs\/heads\/|refs\/remotes\/)/, "")
+      .replace(/^HEAD$/, "current");
+
+    // Truncate if too long
+    return cleaned.length > 20 ? cleaned.substring(0, 17) + "..." : cleaned;
+  }
+
+  addButtons() {
+    this.debug("Adding buttons...");
+
+    const existing = document.querySelector(".merge-helper-buttons");
+    if (existing) {
+      this.debug("Buttons already exist, removing old ones");
+      existing.remove();
+    }
+
+    // Expanded list of possible insertion targets
+    const insertionTargets = [
+      ".file-header",
+      ".Box-header",
+      ".file-navigation",
+      ".js-file-header",
+      ".repository-content",
+      ".application-main",
+      "main",
+      "body",
+    ];
+
+    let insertionPoint = null;
+
+    for (const selector of insertionTargets) {
+      const element = document.querySelector(selector);
+      if (element) {
+        insertionPoint = element;
+        this.debug("Found insertion point:", selector);
+        break;
+      }
+    }
+
+    if (!insertionPoint) {
+      this.debug("No insertion point found, cannot add buttons");
+      return;
+    }
+
+    const buttonContainer = document.createElement("div");
+    buttonContainer.className = "merge-helper-buttons";
+    buttonContainer.style.cssText = `
+            padding: 12px 16px;
+            background: #1e1e1e;
+            border: 1px solid #333;
+            border-radius: 6px;
+            margin: 12px 0;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+            position: relative;
+            z-index: 1000;
+        `;
+
+    const currentDisplay = this.formatBranchName(this.currentBranch);
+    const incomingDisplay = this.formatBranchName(this.incomingBranch);
+
+    buttonContainer.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <div style="font-weight: 600; color: #58a6ff;">
+                    🔧 Conflict Helper
+                </div>
+                <span class="merge-helper-editor">Editor: detecting…</span>
+                <span class="merge-helper-format" hidden></span>
+                <label class="merge-helper-apply-toggle">
+                    <input type="checkbox" class="merge-helper-apply-mode" ${
+                      this.applyToEditorMode ? "checked" : ""
+                    }>
+                    Apply to editor
+                </label>
+                <span class="merge-helper-status" style="
+                    color: #f0883e; font-weight: 500;
+                ">Ready to resolve conflicts</span>
+            </div>
+            <div class="merge-helper-pr" hidden></div>
+            <div class="merge-helper-rate-limit" hidden></div>
+            <div style="display: flex; gap: 6px; align-items: center; flex-wrap: wrap;">
+                <button class="btn btn-sm merge-helper-current" style="
+                    background: #238636; color: white; border: none; 
+                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px; white-space: nowrap;
+                ">Accept All Current ${
+                  currentDisplay ? `(${currentDisplay})` : ""
+                }</button>
+                <button class="btn btn-sm merge-helper-incoming" style="
+                    background: #1f6feb; color: white; border: none; 
+                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px; white-space: nowrap;
+                ">Accept All Incoming ${
+                  incomingDisplay ? `(${incomingDisplay})` : ""
+                }</button>
+                <button class="btn btn-sm merge-helper-both" style="
+                    background: #8957e5; color: white; border: none; 
+                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px;
+                ">Keep Both</button>
+                <button class="btn btn-sm merge-helper-both-toggle" title="Keep Both options" style="
+                    background: #8957e5; color: white; border: none; 
+                    padding: 6px 8px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px;
+                ">▾</button>
+                <button class="btn btn-sm merge-helper-smart" hidden style="
+                    background: #0e8a8a; color: white; border: none; 
+                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px;
+                ">Smart Merge</button>
+                <button class="btn btn-sm merge-helper-base" hidden style="
+                    background: #6e7681; color: white; border: none; 
+                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px;
+                ">Accept All Base</button>
+                <button class="btn btn-sm merge-helper-show" style="
+                    background: #f0883e; color: white; border: none; 
+                    padding: 6px 12px; border-radius: 4px; font-weight: 500; cursor: pointer;
+                    font-size: 12px;
+                ">Show Resolved</button>
+            </div>
+            <div class="merge-helper-both-options" hidden>
+                <label>
+                    Keep Both:
+                    <select data-both-option="order">
+                        <option value="current-first">Current, then incoming</option>
+                        <option value="incoming-first">Incoming, then current</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" data-both-option="dedupe"> Skip identical lines</label>
+                <label><input type="checkbox" data-both-option="annotate"> Mark each side with comments</label>
+                <button type="button" class="merge-helper-both-save">Save as default</button>
+            </div>
+            <div class="merge-helper-diagnostics" hidden></div>
+            <div class="merge-helper-policy" hidden></div>
+            <div class="merge-helper-rules" hidden></div>
+            <div class="merge-helper-recorded" hidden></div>
+            <div class="merge-helper-guided" hidden></div>
+            <div class="merge-helper-session" hidden></div>
+            <div class="merge-helper-history">
+                <button type="button" class="merge-helper-undo" title="Undo (Alt+Z)" disabled>↶ Undo</button>
+                <button type="button" class="merge-helper-redo" title="Redo (Alt+Shift+Z)" disabled>↷ Redo</button>
+                <details class="merge-helper-history-steps">
+                    <summary>History</summary>
+                    <ol></ol>
+                </details>
+            </div>
+            <div class="merge-helper-collisions" hidden></div>
+            <div class="merge-helper-hunk-list" hidden></div>
+        `;
+
+    // Try different insertion strategies
+    try {
+      if (insertionPoint.classList.contains("file-header")) {
+        insertionPoint.insertAdjacentElement("afterend", buttonContainer);
+      } else if (
+        insertionPoint.tagName === "MAIN" ||
+        insertionPoint.classList.contains("application-main")
+      ) {
+        insertionPoint.insertAdjacentElement("afterbegin", buttonContainer);
+      } else {
+        insertionPoint.insertAdjacentElement("afterbegin", buttonContainer);
+      }
+
+      this.debug("Buttons added successfully");
+      this.attachEventListeners(buttonContainer);
+    } catch (error) {
+      this.debug("Error adding buttons:", error);
+    }
+  }
+
+  attachEventListeners(container) {
+    const currentBtn = container.querySelector(".merge-helper-current");
+    const incomingBtn = container.querySelector(".merge-helper-incoming");
+    const bothBtn = container.querySelector(".merge-helper-both");
+    const baseBtn = container.querySelector(".merge-helper-base");
+    const smartBtn = container.querySelector(".merge-helper-smart");
+    const showBtn = container.querySelector(".merge-helper-show");
+
+    if (currentBtn)
+      currentBtn.addEventListener("click", () =>
+        this.resolveConflicts("current")
+      );
+    if (incomingBtn)
+      incomingBtn.addEventListener("click", () =>
+        this.resolveConflicts("incoming")
+      );
+    if (bothBtn)
+      bothBtn.addEventListener("click", () => this.resolveConflicts("both"));
+    if (baseBtn)
+      baseBtn.addEventListener("click", () => this.resolveConflicts("base"));
+    const bothToggle = container.querySelector(".merge-helper-both-toggle");
+    const bothOptions = container.querySelector(".merge-helper-both-options");
+    if (bothToggle && bothOptions) {
+      bothToggle.addEventListener("click", () => {
+        bothOptions.hidden = !bothOptions.hidden;
+        this.renderKeepBothOptions();
+      });
+      bothOptions.addEventListener("change", (event) => {
+        const option = event.target.dataset.bothOption;
+        if (option) {
+          this.keepBothOptions[option] =
+            event.target.type === "checkbox" ? event.target.checked : event.target.value;
+        }
+      });
+      bothOptions
+        .querySelector(".merge-helper-both-save")
+        .addEventListener("click", async () => {
+          await Settings.save({ keepBoth: { ...this.keepBothOptions } });
+          this.updateStatus("Keep Both options saved as default", "success");
+        });
+    }
+    if (smartBtn)
+      smartBtn.addEventListener("click", () => {
+        const strategy = this.getStructuredStrategy();
+        if (strategy) this.resolveConflicts(strategy);
+      });
+
+    const history = container.querySelector(".merge-helper-history");
+    if (history) {
+      history.addEventListener("click", (event) => {
+        const step = event.target.closest("[data-step]");
+        if (event.target.closest(".merge-helper-undo")) {
+          this.undoAction();
+        } else if (event.target.closest(".merge-helper-redo")) {
+          this.redoAction();
+        } else if (step) {
+          this.goToHistoryStep(Number(step.dataset.step));
+        }
+      });
+    }
+
+    const recorded = container.querySelector(".merge-helper-recorded");
+    if (recorded) {
+      recorded.addEventListener("click", (event) => {
+        if (event.target.closest(".merge-helper-recorded-apply")) {
+          this.reapplyRecorded();
+        } else if (event.target.closest(".merge-helper-recorded-dismiss")) {
+          this.recordedMatches = [];
+          this.renderRecordedOffer();
+        }
+      });
+    }
+
+    const collisions = container.querySelector(".merge-helper-collisions");
+    if (collisions) {
+      collisions.addEventListener("click", async (event) => {
+        const button = event.target.closest("[data-resolution]");
+        const row = event.target.closest("[data-collision-key]");
+        if (button && row && this.structuredResult) {
+          const { strategy } = this.structuredResult;
+          this.structuredResolutions[row.dataset.collisionKey] =
+            button.dataset.resolution;
+          await this.resolveStructured(strategy);
+          this.recordHistory(`${strategy.toUpperCase()} collision: ${button.dataset.resolution}`);
+        }
+      });
+    }
+    if (showBtn)
+      showBtn.addEventListener("click", () => this.showResolvedContent());
+
+    const guided = container.querySelector(".merge-helper-guided");
+    if (guided) {
+      guided.addEventListener("click", (event) => {
+        if (event.target.closest(".merge-helper-guided-continue")) {
+          this.answerGuidedStep(true);
+        } else if (event.target.closest(".merge-helper-guided-stop")) {
+          this.answerGuidedStep(false);
+        }
+      });
+    }
+
+    const applyMode = container.querySelector(".merge-helper-apply-mode");
+    if (applyMode)
+      applyMode.addEventListener("change", () => {
+        this.applyToEditorMode = applyMode.checked;
+      });
+
+    const sessionView = container.querySelector(".merge-helper-session");
+    if (sessionView) {
+      sessionView.addEventListener("click", (event) => {
+        const row = event.target.closest("tr[data-path]");
+        if (event.target.closest(".merge-helper-session-open") && row) {
+          event.preventDefault();
+          this.openFile(row.dataset.path);
+        } else if (event.target.closest(".merge-helper-session-batch")) {
+          this.startBatch();
+        } else if (event.target.closest(".merge-helper-session-cancel")) {
+          this.session.cancelBatch();
+          this.renderSessionView();
+        } else if (event.target.closest(".merge-helper-session-prev")) {
+          this.stepFile("previous");
+        } else if (event.target.closest(".merge-helper-session-next")) {
+          this.stepFile("next");
+        }
+      });
+
+      sessionView.addEventListener("change", (event) => {
+        const row = event.target.closest("tr[data-path]");
+        if (event.target.matches(".merge-helper-session-select") && row) {
+          if (event.target.checked) {
+            this.sessionSelection.add(row.dataset.path);
+          } else {
+            this.sessionSelection.delete(row.dataset.path);
+          }
+        }
+      });
+
+      sessionView.addEventListener(
+        "toggle",
+        (event) => {
+          this.sessionViewClosed = !event.target.open;
+        },
+        true
+      );
+    }
+
+    const diagnostics = container.querySelector(".merge-helper-diagnostics");
+    if (diagnostics) {
+      diagnostics.addEventListener("click", (event) => {
+        const diagnostic = event.target.closest("[data-line]");
+        if (diagnostic) {
+          this.revealLine(Number(diagnostic.dataset.line));
+        }
+      });
+    }
+
+    const hunkList = container.querySelector(".merge-helper-hunk-list");
+    if (hunkList) {
+      hunkList.addEventListener("click", (event) => {
+        const choiceBtn = event.target.closest("[data-choice]");
+        const card = event.target.closest(".merge-helper-hunk");
+        if (choiceBtn && card) {
+          this.setHunkChoice(Number(card.dataset.hunkIndex), choiceBtn.dataset.choice);
+        } else if (event.target.closest(".merge-helper-hunk-title") && card) {
+          this.revealHunk(Number(card.dataset.hunkIndex));
+        } else if (event.target.closest(".merge-helper-hunk-apply")) {
+          this.resolveSelectedHunks();
+        }
+      });
+
+      hunkList.addEventListener("input", (event) => {
+        const card = event.target.closest(".merge-helper-hunk");
+        if (card && event.target.matches(".merge-helper-hunk-custom")) {
+          const decision = this.hunkChoices[Number(card.dataset.hunkIndex)];
+          if (decision) {
+            decision.customText = event.target.value;
+            this.recordSessionState();
+            this.recordHistory(`Conflict ${Number(card.dataset.hunkIndex) + 1}: custom text`, {
+              coalesce: true,
+            });
+          }
+        }
+      });
+
+      hunkList.addEventListener("change", (event) => {
+        const card = event.target.closest(".merge-helper-hunk");
+        if (!card) {
+          return;
+        }
+        const index = Number(card.dataset.hunkIndex);
+        if (event.target.matches("[data-pick]")) {
+          this.togglePickedLine(index, event.target.dataset.pick, event.target.checked);
+        } else if (event.target.matches(".merge-helper-hunk-pick-order")) {
+          this.setPickOrder(index, event.target.value);
+        }
+      });
+    }
+  }
+
+  async resolveConflicts(choice) {
+    this.debug(`Resolving conflicts: ${choice}`);
+
+    this.syncHunks();
+    if (this.blockedByDiagnostics()) {
+      return;
+    }
+    if (this.parsed.hunks.length === 0) {
+      this.updateStatus("No conflicts found", "warning");
+      return;
+    }
+
+    const forbidden = this.getForbiddenStrategies()[choice];
+    if (forbidden) {
+      this.updateStatus(`🚫 ${forbidden}`, "error");
+      return;
+    }
+
+    if (this.structuredMergers[choice]) {
+      await this.resolveStructured(choice);
+      return;
+    }
+
+    // A file-wide button is the same as picking that choice on every hunk
+    this.syncHunks();
+    this.hunkChoices = this.parsed.hunks.map(() =>
+      choice === "both" ? { choice, both: { ...this.keepBothOptions } } : { choice }
+    );
+    this.renderHunkList();
+
+    const { parsed, hunkChoices } = this;
+    const resolvedContent = this.buildResolution(parsed, hunkChoices);
+
+    // Store resolved content
+    this.resolvedContent = resolvedContent;
+
+    // Write into the editor, or copy to clipboard when it can't be reached
+    const delivered = await this.withHistory(
+      choice === "both" ? "Keep both" : `Accept all ${choice}`,
+      () => this.deliverResolution(resolvedContent, choice, { userInitiated: true })
+    );
+    // Only what actually reached the editor or clipboard is worth replaying
+    if (delivered) {
+      this.rememberResolutions(parsed, hunkChoices);
+    }
+  }
+
+  renderKeepBothOptions() {
+    document.querySelectorAll("[data-both-option]").forEach((input) => {
+      const value = this.keepBothOptions[input.dataset.bothOption];
+      if (input.type === "checkbox") {
+        input.checked = Boolean(value);
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  // Keep Both with an ordering, optional dedupe and optional origin comments
+  combineSides(hunk, options = this.keepBothOptions) {
+    const sides = [
+      { lines: hunk.current, label: hunk.currentLabel, fallback: this.currentBranch || "current" },
+      { lines: hunk.incoming, label: hunk.incomingLabel, fallback: this.incomingBranch || "incoming" },
+    ];
+    if (options.order === "incoming-first") {
+      sides.reverse();
+    }
+
+    if (options.dedupe) {
+      const seen = new Set(
+        sides[0].lines.map((line) => line.trim()).filter((line) => line !== "")
+      );
+      sides[1] = {
+        ...sides[1],
+        lines: sides[1].lines.filter((line) => line.trim() === "" || !seen.has(line.trim())),
+      };
+    }
+
+    const comment = options.annotate ? this.getCommentSyntax() : null;
+    return sides.flatMap((side) => {
+      if (!comment || side.lines.length === 0) {
+        return side.lines;
+      }
+
+      const name =
+        !side.label || side.label === "HEAD" ? side.fallback : side.label;
+      const indent = (side.lines.find((line) => line.trim() !== "") || "").match(/^\s*/)[0];
+      return [
+        `${indent}${comment(`from ${name}`)}`,
+        ...side.lines,
+        `${indent}${comment(`end ${name}`)}`,
+      ];
+    });
+  }
+
+  // Returns text => comment for the file's language, or null (e.g. JSON)
+  getCommentSyntax(path = this.currentFile) {
+    const language = FilePreview.languageFor(path);
+    if (language && language.lineComment) {
+      return (text) => `${language.lineComment[0]} ${text}`;
+    }
+    if (language && language.block) {
+      return (text) => `${language.block[0]} ${text} ${language.block[1]}`;
+    }
+    return null;
+  }
+
+  getStructuredStrategy(path = this.currentFile) {
+    if (path && /\.json$/i.test(path)) {
+      return "json";
+    }
+    if (path && /\.ya?ml$/i.test(path)) {
+      return "yaml";
+    }
+    return null;
+  }
+
+  // Rebuilds one whole side of the file; null for "base" without diff3 markers
+  buildSideText(parsed, side) {
+    const lines = [];
+
+    for (const segment of parsed.segments) {
+      if (segment.type === "text") {
+        lines.push(...segment.lines);
+      } else if (segment.hunk[side]) {
+        lines.push(...segment.hunk[side]);
+      } else {
+        return null;
+      }
+    }
+
+    return lines.join("\n");
+  }
+
+  async resolveStructured(strategy, { userInitiated = true } = {}) {
+    this.syncHunks();
+    if (this.blockedByDiagnostics()) {
+      return;
+    }
+    if (this.parsed.hunks.length === 0) {
+      this.updateStatus("No conflicts found", "warning");
+      return;
+    }
+
+    const result = this.structuredMergers[strategy].merge(
+      {
+        current: this.buildSideText(this.parsed, "current"),
+        incoming: this.buildSideText(this.parsed, "incoming"),
+        base: this.buildSideText(this.parsed, "base"),
+      },
+      this.structuredResolutions
+    );
+    if (result.ok) {
+      result.text = TextFormat.apply(result.text, this.parsed.format);
+    }
+    this.structuredResult = { strategy, ...result };
+    this.renderCollisions();
+
+    if (!result.ok) {
+      this.updateStatus(`❌ ${strategy.toUpperCase()} merge failed: ${result.error}`, "error");
+      return;
+    }
+
+    if (result.unresolved > 0) {
+      this.updateStatus(
+        `${result.unresolved} key collision${
+          result.unresolved === 1 ? "" : "s"
+        } need a choice`,
+        "warning"
+      );
+      return;
+    }
+
+    this.resolvedContent = result.text;
+    await this.withHistory(`Smart merge (${strategy.toUpperCase()})`, () =>
+      this.deliverResolution(result.text, `${strategy} merge`, { userInitiated })
+    );
+  }
+
+  renderCollisions() {
+    const element = document.querySelector(".merge-helper-collisions");
+    if (!element) {
+      return;
+    }
+
+    const result = this.structuredResult;
+    element.hidden = !result || !result.ok || result.collisions.length === 0;
+    if (element.hidden) {
+      element.innerHTML = "";
+      return;
+    }
+
+    const merger = this.structuredMergers[result.strategy];
+    const preview = (value) =>
+      value === undefined
+        ? "<em>(absent)</em>"
+        : this.escapeHtml(merger.preview(value));
+
+    element.innerHTML = `
+            <div class="merge-helper-collisions-title">
+                Key collisions in ${result.strategy.toUpperCase()} (${result.collisions.length - result.unresolved} of ${
+      result.collisions.length
+    } decided)
+            </div>
+            ${result.collisions
+              .map(
+                (collision) => `
+            <div class="merge-helper-collision" data-collision-key="${this.escapeHtml(
+              collision.key
+            )}">
+                <code>${this.escapeHtml(collision.path)}</code>
+                <div class="merge-helper-hunk-sides">
+                    <div class="merge-helper-hunk-side">
+                        <div class="merge-helper-hunk-side-title">Current</div>
+                        <pre>${preview(collision.current)}</pre>
+                    </div>
+                    <div class="merge-helper-hunk-side">
+                        <div class="merge-helper-hunk-side-title">Incoming</div>
+                        <pre>${preview(collision.incoming)}</pre>
+                    </div>
+                </div>
+                <div class="merge-helper-hunk-choices">
+                    ${[
+                      ["current", "Current"],
+                      ["incoming", "Incoming"],
+                      ...(collision.canCombine ? [["both", "Both (union)"]] : []),
+                    ]
+                      .map(
+                        ([value, label]) => `<button type="button" data-resolution="${value}"
+                            class="${collision.resolution === value ? "selected" : ""}">${label}</button>`
+                      )
+                      .join("")}
+                </div>
+            </div>`
+              )
+              .join("")}
+        `;
+  }
+
+  async resolveSelectedHunks() {
+    this.syncHunks();
+    const total = this.parsed.hunks.length;
+    const resolvedCount = this.getResolvedHunkCount();
+
+    if (this.blockedByDiagnostics()) {
+      return;
+    }
+    if (total === 0) {
+      this.updateStatus("No conflicts found", "warning");
+      return;
+    }
+
+    const { parsed, hunkChoices } = this;
+    this.resolvedContent = this.buildResolution(parsed, hunkChoices);
+    const delivered = await this.withHistory("Apply chosen hunks", () =>
+      this.deliverResolution(this.resolvedContent, `${resolvedCount} of ${total} hunks`, {
+        userInitiated: true,
+      })
+    );
+    if (delivered) {
+      this.rememberResolutions(parsed, hunkChoices);
+    }
+  }
+
+  // target: "editor" (falls back to the clipboard) or "clipboard"; defaults
+  // to the "Apply to editor" toggle. Guided mode only follows resolutions the
+  // user asked for (`userInitiated`), never rule or trivial auto-applies.
+  // Returns whether the content reached the editor or the clipboard.
+  async deliverResolution(
+    content,
+    choice,
+    { target = this.applyToEditorMode ? "editor" : "clipboard", userInitiated = false } = {}
+  ) {
+    if (!this.passesPolicyChecks(content)) {
+      return false;
+    }
+
+    if (target === "editor") {
+      const editor = await this.applyToEditor(content);
+      if (editor) {
+        this.updateStatus(
+          `✅ Resolved (${choice}) & applied to the editor`,
+          "success"
+        );
+        this.showApplySuccess(editor);
+        // Editor changes don't always reach the content observer
+        setTimeout(() => this.updateConflictStatus(), 300);
+        if (this.guidedOptions.enabled && userInitiated) {
+          this.runGuidedSteps();
+        }
+        return true;
+      }
+      this.debug("Editor not reachable, falling back to clipboard");
+    }
+
+    return this.copyToClipboard(content, choice);
+  }
+
+  async applyToEditor(content) {
+    // Returns the label of the editor that was written to, or null if none was reachable
+    const adapter = await this.editors.activate();
+    this.updateEditorBadge();
+    if (!adapter) {
+      return null;
+    }
+
+    try {
+      await adapter.write(content);
+      return adapter.label;
+    } catch (error) {
+      this.debug(`${adapter.label} could not be written:`, error.message);
+      return null;
+    }
+  }
+
+  async revealHunk(index) {
+    // Select the hunk in the editor and scroll it into view
+    const hunk = this.parsed?.hunks[index];
+    const adapter = await this.editors.activate();
+    if (!hunk || !adapter) {
+      return;
+    }
+
+    try {
+      await adapter.scrollToLine(hunk.startLine);
+      await adapter.setSelection(
+        { line: hunk.startLine, ch: 0 },
+        { line: hunk.endLine, ch: hunk.raw[hunk.raw.length - 1].length }
+      );
+    } catch (error) {
+      this.debug("Could not reveal hunk in the editor:", error.message);
+    }
+  }
+
+  async revealLine(line) {
+    // Used by the diagnostics, which point at lines rather than hunks
+    const adapter = await this.editors.activate();
+    if (!adapter) {
+      return;
+    }
+
+    try {
+      await adapter.scrollToLine(line);
+      await adapter.setSelection({ line, ch: 0 }, { line: line + 1, ch: 0 });
+    } catch (error) {
+      this.debug("Could not reveal line in the editor:", error.message);
+    }
+  }
+
+  updateFormatBadge() {
+    const badge = document.querySelector(".merge-helper-format");
+    if (!badge) {
+      return;
+    }
+
+    const format = this.parsed?.format;
+    badge.hidden = !format;
+    if (format) {
+      // Resolutions are written back in this format
+      badge.textContent = TextFormat.describe(format);
+      badge.classList.toggle("mixed", format.mixed);
+    }
+  }
+
+  updateEditorBadge() {
+    const badge = document.querySelector(".merge-helper-editor");
+    if (!badge) {
+      return;
+    }
+
+    const adapter = this.editors.active;
+    badge.textContent = adapter
+      ? `Editor: ${adapter.label}`
+      : "Editor: not detected";
+    badge.classList.toggle("missing", !adapter);
+  }
+
+  syncHunks() {
+    // Re-parse the editor content, keeping per-hunk decisions while the hunks are unchanged
+    const parsed = this.parseConflicts(this.getContent());
+    const signature = parsed.hunks
+      .map((hunk) => hunk.raw.join("\n"))
+      .join("\u0000");
+    this.attachMergeBase(parsed, signature);
+    for (const hunk of parsed.hunks) {
+      hunk.kind = HunkClassifier.classify(hunk, this.currentFile);
+    }
+
+    if (signature !== this.hunkSignature) {
+      this.hunkSignature = signature;
+      this.structuredResolutions = {};
+      this.structuredResult = null;
+      this.renderCollisions();
+
+      // Decisions made on an earlier visit to this file come back with it
+      const saved = this.session.restoreChoices(
+        this.currentFile,
+        ConflictSession.hashText(signature)
+      );
+      this.hunkChoices =
+        saved && saved.length === parsed.hunks.length
+          ? saved
+          : this.getTrivialChoices(parsed.hunks);
+    }
+
+    this.parsed = parsed;
+    return parsed;
+  }
+
+  recordSessionState() {
+    if (!this.parsed || !this.getContent()) {
+      return;
+    }
+
+    this.session.recordFile(this.currentFile, {
+      hunkCount: this.parsed.hunks.length,
+      resolvedCount: this.getResolvedHunkCount(),
+      choices: this.hunkChoices,
+      signature: ConflictSession.hashText(this.hunkSignature),
+      errorCount: this.parsed.diagnostics.filter(
+        (diagnostic) => diagnostic.severity === "error"
+      ).length,
+    });
+  }
+
+  // Pre-pass before any button is pressed: trivial hunks get the choice the
+  // trivial-conflict policy makes for their kind
+  getTrivialChoices(hunks) {
+    const forbidden = this.getForbiddenStrategies();
+
+    return hunks.map((hunk) => {
+      const choice = HunkClassifier.decide(hunk.kind, hunk, this.trivialPolicy);
+      return choice && !forbidden[choice]
+        ? { choice, trivial: hunk.kind }
+        : { choice: null };
+    });
+  }
+
+  getTrivialHunkCount() {
+    return this.hunkChoices.filter((decision) => decision.choice && decision.trivial).length;
+  }
+
+  getResolvedHunkCount() {
+    if (!this.parsed) {
+      return 0;
+    }
+
+    return this.parsed.hunks.filter(
+      (hunk) => this.resolveHunk(hunk, this.hunkChoices[hunk.index]) !== null
+    ).length;
+  }
+
+  setHunkChoice(index, choice) {
+    const decision = this.hunkChoices[index];
+    const hunk = this.parsed?.hunks[index];
+    if (!decision || !hunk) {
+      return;
+    }
+
+    const forbidden = this.getForbiddenStrategies()[choice];
+    if (forbidden && decision.choice !== choice) {
+      this.updateStatus(`🚫 ${forbidden}`, "error");
+      return;
+    }
+
+    // Clicking the active choice again clears it
+    decision.choice = decision.choice === choice ? null : choice;
+    delete decision.rule;
+    delete decision.trivial;
+    delete decision.memory;
+
+    if (decision.choice === "custom" && decision.customText === undefined) {
+      decision.customText = [...hunk.current, ...hunk.incoming].join("\n");
+    }
+    // Keep Both uses the options set when it was clicked
+    if (decision.choice === "both") {
+      decision.both = { ...this.keepBothOptions };
+    }
+    if (decision.choice === "pick" && !decision.picks) {
+      decision.picks = [];
+      decision.pickOrder = "current-first";
+    }
+
+    this.debug(`Hunk ${index + 1} set to:`, decision.choice);
+    this.renderHunkList();
+    this.updateConflictStatus();
+    this.recordHistory(`Conflict ${index + 1}: ${decision.choice || "cleared"}`);
+  }
+
+  renderHunkList() {
+    const list = document.querySelector(".merge-helper-hunk-list");
+    if (!list) {
+      return;
+    }
+
+    const parsed = this.parsed || this.syncHunks();
+    list.innerHTML = "";
+    list.hidden = parsed.hunks.length === 0;
+
+    // "Accept All Base" only makes sense for diff3/zdiff3 conflicts
+    const baseBtn = document.querySelector(".merge-helper-base");
+    if (baseBtn) {
+      baseBtn.hidden = !parsed.hunks.some((hunk) => hunk.base !== null);
+    }
+
+    const structured = this.getStructuredStrategy();
+    const smartBtn = document.querySelector(".merge-helper-smart");
+    if (smartBtn) {
+      smartBtn.hidden = !structured || parsed.hunks.length === 0;
+      smartBtn.textContent = structured
+        ? `Smart Merge (${structured.toUpperCase()})`
+        : "Smart Merge";
+    }
+
+    // Strategies the repo policy forbids for this file can't be clicked
+    const forbidden = this.getForbiddenStrategies();
+    ["current", "incoming", "both", "base"].forEach((strategy) => {
+      const button = document.querySelector(`.merge-helper-${strategy}`);
+      if (button) {
+        button.disabled = Boolean(forbidden[strategy]);
+        button.title = forbidden[strategy] || "";
+      }
+    });
+    if (smartBtn && structured) {
+      smartBtn.disabled = Boolean(forbidden[structured]);
+      smartBtn.title = forbidden[structured] || "";
+    }
+
+    for (const hunk of parsed.hunks) {
+      list.appendChild(this.createHunkCard(hunk));
+    }
+    this.renderHunkCommits();
+
+    // Keep an open review in step with the decisions
+    this.renderReview();
+
+    if (parsed.hunks.length > 0) {
+      const footer = document.createElement("div");
+      footer.className = "merge-helper-hunk-footer";
+      footer.innerHTML = `
+                <span>Unresolved hunks keep their conflict markers</span>
+                <button type="button" class="merge-helper-hunk-apply">Copy Result</button>
+            `;
+      list.appendChild(footer);
+    }
+  }
+
+  createHunkCard(hunk) {
+    const decision = this.hunkChoices[hunk.index] || { choice: null };
+    const choices = [
+      ["current", "Current"],
+      ["incoming", "Incoming"],
+      ["both", "Both"],
+      ...(LineUnion.isUnionable(hunk, this.currentFile) ? [["union", "Union"]] : []),
+      ...(hunk.base !== null ? [["base", "Base"]] : []),
+      ...(hunk.kind === "clean-merge" ? [["merged", "3-way merge"]] : []),
+      ["pick", "Pick lines"],
+      ["custom", "Custom"],
+    ];
+
+    const rule = decision.rule
+      ? this.firedRules.find((fired) => fired.id === decision.rule)
+      : null;
+    const forbidden = this.getForbiddenStrategies();
+
+    const card = document.createElement("div");
+    card.className = "merge-helper-hunk";
+    card.dataset.hunkIndex = hunk.index;
+    card.classList.toggle("resolved", Boolean(decision.choice));
+
+    card.innerHTML = `
+            <div class="merge-helper-hunk-header">
+                <span class="merge-helper-hunk-title">
+                    Conflict ${hunk.index + 1} · lines ${hunk.startLine}–${hunk.endLine}
+                </span>
+                ${
+                  rule && decision.choice === rule.strategy
+                    ? `<span class="merge-helper-hunk-rule">${
+                        rule.source === "repo" ? "repo policy" : "rule"
+                      }: ${this.escapeHtml(rule.pattern)}</span>`
+                    : ""
+                }
+                ${
+                  decision.memory && decision.choice
+                    ? `<span class="merge-helper-hunk-recorded">♻ recorded resolution</span>`
+                    : ""
+                }
+                ${
+                  hunk.kind && hunk.kind !== "conflict"
+                    ? `<span class="merge-helper-hunk-trivial">${
+                        HunkClassifier.KINDS[hunk.kind]
+                      }${
+                        decision.trivial && decision.choice
+                          ? " · auto-resolved"
+                          : hunk.baseRecovered
+                            ? " · suggested from the merge base"
+                            : ""
+                      }</span>`
+                    : ""
+                }
+                <div class="merge-helper-hunk-choices">
+                    ${choices
+                      .map(
+                        ([value, label]) => `<button type="button" data-choice="${value}"
+                            class="${decision.choice === value ? "selected" : ""}"
+                            ${
+                              forbidden[value]
+                                ? `disabled title="${this.escapeHtml(forbidden[value])}"`
+                                : ""
+                            }>${label}</button>`
+                      )
+                      .join("")}
+                </div>
+            </div>
+            <div class="merge-helper-hunk-sides ${hunk.base !== null ? "with-base" : ""}">
+                ${this.renderHunkSide("Current", hunk.currentLabel, hunk.current, hunk.base, "current")}
+                ${
+                  hunk.base !== null
+                    ? this.renderHunkSide("Base", hunk.baseLabel, hunk.base)
+                    : ""
+                }
+                ${this.renderHunkSide(
+                  "Incoming",
+                  hunk.incomingLabel,
+                  hunk.incoming,
+                  hunk.base,
+                  "incoming"
+                )}
+            </div>
+            ${
+              decision.choice === "custom"
+                ? `<textarea class="merge-helper-hunk-custom" spellcheck="false">${this.escapeHtml(
+                    decision.customText
+                  )}</textarea>`
+                : ""
+            }
+            ${decision.choice === "pick" ? this.renderLinePicker(hunk, decision) : ""}
+        `;
+
+    return card;
+  }
+
+  // Line-level cherry-picking: a checkbox per line of both sides
+  renderLinePicker(hunk, decision) {
+    const picked = new Set(decision.picks);
+    const side = (name, title, label, lines) => `
+            <div class="merge-helper-hunk-side">
+                <div class="merge-helper-hunk-side-title">${title}${
+      label ? ` (${this.escapeHtml(this.formatBranchName(label))})` : ""
+    }</div>
+                <div class="merge-helper-hunk-pick-lines">
+                    ${lines
+                      .map(
+                        (line, index) => `<label>
+                            <input type="checkbox" data-pick="${name}:${index}"
+                                ${picked.has(`${name}:${index}`) ? "checked" : ""}>
+                            <code>${this.escapeHtml(line) || " "}</code>
+                        </label>`
+                      )
+                      .join("")}
+                </div>
+            </div>
+        `;
+    const orders = [
+      ["current-first", "Current lines first"],
+      ["incoming-first", "Incoming lines first"],
+      ["picked", "In the order picked"],
+    ];
+
+    return `
+            <div class="merge-helper-hunk-pick">
+                <div class="merge-helper-hunk-sides">
+                    ${side("current", "Current", hunk.currentLabel, hunk.current)}
+                    ${side("incoming", "Incoming", hunk.incomingLabel, hunk.incoming)}
+                </div>
+                <label>
+                    Order
+                    <select class="merge-helper-hunk-pick-order">
+                        ${orders
+                          .map(
+                            ([value, label]) =>
+                              `<option value="${value}" ${
+                                decision.pickOrder === value ? "selected" : ""
+                              }>${label}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </label>
+                <div class="merge-helper-hunk-side">
+                    <div class="merge-helper-hunk-side-title">Result</div>
+                    <pre class="merge-helper-hunk-pick-result">${this.renderPickResult(
+                      hunk,
+                      decision
+                    )}</pre>
+                </div>
+            </div>
+        `;
+  }
+
+  renderPickResult(hunk, decision) {
+    const lines = this.composePickedLines(hunk, decision);
+    return lines && lines.length
+      ? this.escapeHtml(lines.join("\n"))
+      : "<em>Pick at least one line</em>";
+  }
+
+  // Returns the picked lines in the chosen order, or null if none are picked
+  composePickedLines(hunk, decision) {
+    const picks = (decision.picks || []).map((pick) => {
+      const [side, index] = pick.split(":");
+      return { side, index: Number(index) };
+    });
+    if (picks.length === 0) {
+      return null;
+    }
+
+    if (decision.pickOrder !== "picked") {
+      const sides =
+        decision.pickOrder === "incoming-first"
+          ? ["incoming", "current"]
+          : ["current", "incoming"];
+      picks.sort(
+        (a, b) => sides.indexOf(a.side) - sides.indexOf(b.side) || a.index - b.index
       );
-    if (bothBtn)
-      bothBtn.addEventListener("click", () => this.resolveConflicts("both"));
-    if (showBtn)
-      showBtn.addEventListener("click", () => this.showResolvedContent());
+    }
+
+    return picks.map((pick) => hunk[pick.side][pick.index]);
   }
 
-  resolveConflicts(choice) {
-    this.debug(`Resolving conflicts: ${choice}`);
+  togglePickedLine(index, pick, checked) {
+    const decision = this.hunkChoices[index];
+    if (!decision || decision.choice !== "pick") {
+      return;
+    }
 
-    const content = this.getContent();
-    if (!content.includes("<<<<<<<")) {
-      this.updateStatus("No conflicts found", "warning");
+    decision.picks = decision.picks.filter((existing) => existing !== pick);
+    if (checked) {
+      decision.picks.push(pick);
+    }
+    this.refreshPickedHunk(index);
+    this.recordHistory(`Conflict ${index + 1}: picked lines`, { coalesce: true });
+  }
+
+  setPickOrder(index, order) {
+    const decision = this.hunkChoices[index];
+    if (!decision || decision.choice !== "pick") {
       return;
     }
 
-    const resolvedContent = this.processConflicts(content, choice);
+    decision.pickOrder = order;
+    this.refreshPickedHunk(index);
+    this.recordHistory(`Conflict ${index + 1}: picked lines`, { coalesce: true });
+  }
 
-    // Store resolved content
-    this.resolvedContent = resolvedContent;
+  // Updates the live result in place so the checkboxes keep their focus
+  refreshPickedHunk(index) {
+    const hunk = this.parsed?.hunks[index];
+    const card = document.querySelector(`.merge-helper-hunk[data-hunk-index="${index}"]`);
+    if (hunk && card) {
+      card.classList.toggle(
+        "resolved",
+        this.resolveHunk(hunk, this.hunkChoices[index]) !== null
+      );
+      const result = card.querySelector(".merge-helper-hunk-pick-result");
+      if (result) {
+        result.innerHTML = this.renderPickResult(hunk, this.hunkChoices[index]);
+      }
+    }
 
-    // Automatically copy to clipboard
-    this.copyToClipboard(resolvedContent, choice);
+    this.recordSessionState();
+    this.renderReview();
+    this.scheduleStatusUpdate();
   }
 
+  renderHunkSide(title, label, lines, baseLines = null, side = null) {
+    let heading = label
+      ? `${title} (${this.escapeHtml(this.formatBranchName(label))})`
+      : title;
+    let body = lines.length
+      ? this.escapeHtml(lines.join("\n"))
+      : "<em>(empty)</em>";
+
+    // With a base available, show what this side changed relative to it
+    if (baseLines) {
+      const ops = TextDiff.diff(baseLines, lines);
+      const { added, removed } = TextDiff.stats(ops);
+      const prefixes = { equal: "  ", add: "+ ", remove: "- " };
+
+      heading += ` <span class="merge-helper-hunk-stats">+${added} −${removed} vs base</span>`;
+      body = ops
+        .map(
+          (op) =>
+            `<span class="merge-helper-line-${op.type}">${
+              prefixes[op.type]
+            }${this.escapeHtml(op.value)}</span>`
+        )
+        .join("\n");
+    }
+
+    return `
+            <div class="merge-helper-hunk-side">
+                <div class="merge-helper-hunk-side-title">${heading}</div>
+                ${side ? `<div class="merge-helper-hunk-commit" data-side="${side}"></div>` : ""}
+                <pre>${body || "<em>(empty)</em>"}</pre>
+            </div>
+        `;
+  }
+
+  // Returns whether the content was copied
   async copyToClipboard(content, choice) {
     try {
       await navigator.clipboard.writeText(content);
@@ -509,9 +2699,10 @@ class MergeConflictHelper {
         "success"
       );
       this.showCopySuccess(choice);
+      return true;
     } catch (error) {
       this.debug("Clipboard API failed, trying fallback:", error);
-      this.fallbackCopy(content, choice);
+      return this.fallbackCopy(content, choice);
     }
   }
 
@@ -525,6 +2716,7 @@ class MergeConflictHelper {
     document.body.appendChild(textArea);
     textArea.select();
     textArea.setSelectionRange(0, 99999); // For mobile devices
+    let copied = false;
 
     try {
       const successful = document.execCommand("copy");
@@ -534,6 +2726,7 @@ class MergeConflictHelper {
           "success"
         );
         this.showCopySuccess(choice);
+        copied = true;
       } else {
         throw new Error("execCommand failed");
       }
@@ -547,6 +2740,7 @@ class MergeConflictHelper {
     }
 
     document.body.removeChild(textArea);
+    return copied;
   }
 
   showCopySuccess(choice) {
@@ -584,10 +2778,20 @@ class MergeConflictHelper {
                     1. Click in the GitHub editor<br>
                     2. Select all (Ctrl+A)<br>
                     3. Paste (Ctrl+V)<br>
-                    4. Click "Mark as resolved"
+                    ${
+                      this.guidedOptions.enabled
+                        ? `4. <button type="button" class="merge-helper-guided-pasted">Continue guided steps</button>`
+                        : `4. Click "Mark as resolved"`
+                    }
                 </span>
             </div>
         `;
+    successMessage
+      .querySelector(".merge-helper-guided-pasted")
+      ?.addEventListener("click", () => {
+        successMessage.remove();
+        this.runGuidedSteps();
+      });
 
     // Auto-hide the message after 10 seconds
     setTimeout(() => {
@@ -597,47 +2801,242 @@ class MergeConflictHelper {
     }, 10000);
   }
 
-  showResolvedContent() {
-    if (!this.resolvedContent) {
+  // Guided mode, once a resolution is in the editor: check that no markers
+  // remain, mark the file as resolved, open the next unresolved file and, when
+  // none is left, take the user to "Commit merge". Each step can ask first and
+  // the first one that can't be done stops the run, saying why.
+  async runGuidedSteps() {
+    if (this.guidedRunning) {
+      return;
+    }
+    this.guidedRunning = true;
+
+    try {
+      await this.guidedSteps();
+    } finally {
+      this.guidedRunning = false;
+    }
+  }
+
+  async guidedSteps() {
+    const options = this.guidedOptions;
+    const path = this.currentFile || "this file";
+    // Let the editor settle after the write
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    const parsed = this.parseConflicts(this.getContent());
+    const errors = parsed.diagnostics.filter((diagnostic) => diagnostic.severity === "error");
+    if (parsed.hunks.length > 0 || errors.length > 0) {
+      const count = parsed.hunks.length || errors.length;
       this.updateStatus(
-        "No resolved content available - click an Accept button first",
+        `🧭 Guided mode stopped: ${count} conflict${count === 1 ? "" : "s"} left in ${path}`,
         "warning"
       );
       return;
     }
 
-    // Create or update the display area
-    let displayArea = document.querySelector(".merge-helper-display");
+    const markButton = this.findPageButton(
+      [".js-mark-resolved", "button[data-action*='mark-resolved']"],
+      /^mark as resolved$/i
+    );
+    if (!markButton) {
+      this.updateStatus(`🧭 No conflicts left - click "Mark as resolved" on GitHub`, "warning");
+      return;
+    }
+    if (markButton.disabled) {
+      this.updateStatus(`🧭 GitHub's "Mark as resolved" is disabled for ${path}`, "warning");
+      return;
+    }
+    if (
+      options.confirmMarkResolved &&
+      !(await this.confirmGuidedStep(
+        `No conflicts left in ${path}. Mark it as resolved?`,
+        "Mark as resolved"
+      ))
+    ) {
+      return;
+    }
+    markButton.click();
+    this.updateStatus(`🧭 Marked ${path} as resolved`, "success");
 
-    if (!displayArea) {
-      displayArea = document.createElement("div");
-      displayArea.className = "merge-helper-display";
-      displayArea.style.cssText = `
+    // GitHub sometimes opens the next file on its own
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    if (this.destroyed) {
+      return;
+    }
+    this.refreshSessionFiles();
+    if (this.currentFile && this.currentFile !== path) {
+      this.updateStatus(`🧭 Marked ${path} as resolved - now on ${this.currentFile}`, "success");
+      return;
+    }
+
+    const next = this.session
+      .getOrderedFiles()
+      .find((file) => file.path !== path && file.state !== "resolved");
+    if (next) {
+      if (
+        options.confirmNextFile &&
+        !(await this.confirmGuidedStep(`Open the next unresolved file, ${next.path}?`, "Open"))
+      ) {
+        return;
+      }
+      if (!this.openFile(next.path) || !(await this.waitForFile(next.path))) {
+        if (!this.destroyed) {
+          this.updateStatus(`🧭 Could not open ${next.path}`, "error");
+        }
+        return;
+      }
+      this.updateConflictStatus();
+      this.updateStatus(`🧭 Opened ${next.path}`, "info");
+      return;
+    }
+
+    const commitButton = this.findPageButton(
+      [".js-resolve-conflicts-commit", "button[data-action*='commit-merge']"],
+      /^commit merge$/i
+    );
+    if (!commitButton) {
+      this.updateStatus("🧭 All files resolved - commit the merge on GitHub", "success");
+      return;
+    }
+    if (
+      options.confirmCommit &&
+      !(await this.confirmGuidedStep('All files are resolved. Go to "Commit merge"?', "Go"))
+    ) {
+      return;
+    }
+    // The commit itself is left to the user
+    commitButton.scrollIntoView({ behavior: "smooth", block: "center" });
+    commitButton.focus();
+    commitButton.classList.add("merge-helper-guided-target");
+    setTimeout(() => commitButton.classList.remove("merge-helper-guided-target"), 5000);
+    this.updateStatus('🧭 All files resolved - review and click "Commit merge"', "success");
+  }
+
+  // A GitHub control by selector, or else by its text; never one of ours
+  findPageButton(selectors, text) {
+    for (const selector of selectors) {
+      const button = document.querySelector(selector);
+      if (button) {
+        return button;
+      }
+    }
+
+    return (
+      Array.from(document.querySelectorAll("button, input[type='submit']")).find(
+        (button) =>
+          !button.closest(".merge-helper-buttons") &&
+          text.test((button.textContent || button.value || "").trim())
+      ) || null
+    );
+  }
+
+  // Shows the step in the panel; resolves true when the user goes ahead
+  confirmGuidedStep(message, action) {
+    const element = document.querySelector(".merge-helper-guided");
+    if (!element) {
+      return Promise.resolve(false);
+    }
+
+    element.hidden = false;
+    element.innerHTML = `
+            <span>🧭 ${this.escapeHtml(message)}</span>
+            <button type="button" class="merge-helper-guided-continue">${this.escapeHtml(
+              action
+            )}</button>
+            <button type="button" class="merge-helper-guided-stop">Stop</button>
+        `;
+    return new Promise((resolve) => {
+      this.guidedPrompt = resolve;
+    });
+  }
+
+  answerGuidedStep(confirmed) {
+    const element = document.querySelector(".merge-helper-guided");
+    if (element) {
+      element.hidden = true;
+      element.innerHTML = "";
+    }
+
+    const resolve = this.guidedPrompt;
+    this.guidedPrompt = null;
+    if (resolve) {
+      if (!confirmed) {
+        this.updateStatus("🧭 Guided mode stopped", "info");
+      }
+      resolve(confirmed);
+    }
+  }
+
+  showApplySuccess(editor) {
+    let successMessage = document.querySelector(".merge-helper-copy-success");
+
+    if (!successMessage) {
+      successMessage = document.createElement("div");
+      successMessage.className = "merge-helper-copy-success";
+      successMessage.style.cssText = `
                 background: #1e1e1e;
                 border: 1px solid #333;
                 border-radius: 6px;
-                padding: 16px;
+                padding: 12px 16px;
                 margin: 12px 0;
-                font-family: monospace;
-                white-space: pre-wrap;
-                max-height: 400px;
-                overflow-y: auto;
-                position: relative;
-                color: #c9d1d9;
+                color: #58a6ff;
+                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+                display: flex;
+                align-items: center;
+                gap: 8px;
             `;
 
-      // Insert after our buttons or success message
       const buttons = document.querySelector(".merge-helper-buttons");
-      const successMsg = document.querySelector(".merge-helper-copy-success");
-      const insertAfter = successMsg || buttons;
-      if (insertAfter) {
-        insertAfter.insertAdjacentElement("afterend", displayArea);
+      if (buttons) {
+        buttons.insertAdjacentElement("afterend", successMessage);
+      }
+    }
+
+    successMessage.innerHTML = `
+            <span style="font-size: 18px;">✏️</span>
+            <div>
+                <strong style="color: #238636;">Applied to the editor (${this.escapeHtml(
+                  editor
+                )})</strong><br>
+                <span style="font-size: 14px; color: #c9d1d9;">
+                    1. Review the result in the GitHub editor<br>
+                    2. Undo (Ctrl+Z in the editor) restores the previous text<br>
+                    3. Click "Mark as resolved"
+                </span>
+            </div>
+        `;
+
+    setTimeout(() => {
+      if (successMessage.parentElement) {
+        successMessage.remove();
       }
+    }, 10000);
+  }
+
+  showResolvedContent() {
+    const parsed = this.syncHunks();
+    if (!this.resolvedContent && parsed.hunks.length === 0) {
+      this.updateStatus(
+        "No resolved content available - click an Accept button first",
+        "warning"
+      );
+      return;
     }
 
-    displayArea.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
-                <strong style="color: #238636;">Resolved Content:</strong>
+    // Create the review area once; renderReview() refreshes its body
+    let displayArea = document.querySelector(".merge-helper-display");
+
+    if (!displayArea) {
+      displayArea = document.createElement("div");
+      displayArea.className = "merge-helper-display";
+      displayArea.innerHTML = `
+            <div class="merge-helper-display-header">
+                <div class="merge-helper-display-tabs">
+                    <button type="button" data-tab="review">Review</button>
+                    <button type="button" data-tab="file">Full file</button>
+                    <button type="button" data-tab="edit">Edit</button>
+                </div>
                 <div style="display: flex; gap: 8px;">
                     <button id="copy-resolved" style="
                         background: #238636; color: white; border: none; 
@@ -649,114 +3048,255 @@ class MergeConflictHelper {
                     ">Hide</button>
                 </div>
             </div>
-            <div style="
-                background: #161b22; 
-                border: 1px solid #333; 
-                border-radius: 4px; 
-                padding: 12px; 
-                font-size: 14px;
-                line-height: 1.4;
-                color: #c9d1d9;
-                font-family: 'SFMono-Regular', 'Consolas', 'Liberation Mono', 'Menlo', monospace;
-            ">${this.escapeHtml(this.resolvedContent)}</div>
+            <div class="merge-helper-display-body"></div>
         `;
 
-    // Add copy functionality
-    const copyBtn = displayArea.querySelector("#copy-resolved");
-    const hideBtn = displayArea.querySelector("#hide-resolved");
+      // Insert after our buttons or success message
+      const buttons = document.querySelector(".merge-helper-buttons");
+      const successMsg = document.querySelector(".merge-helper-copy-success");
+      const insertAfter = successMsg || buttons;
+      if (insertAfter) {
+        insertAfter.insertAdjacentElement("afterend", displayArea);
+      }
+
+      displayArea
+        .querySelector(".merge-helper-display-tabs")
+        .addEventListener("click", (event) => {
+          const tab = event.target.closest("[data-tab]");
+          if (tab) {
+            this.reviewTab = tab.dataset.tab;
+            this.renderReview();
+          }
+        });
 
-    if (copyBtn) {
-      copyBtn.addEventListener("click", () => {
-        this.copyToClipboard(this.resolvedContent, "manual");
+      displayArea.querySelector("#copy-resolved").addEventListener("click", () => {
+        this.copyToClipboard(this.getReviewContent(), "manual");
       });
-    }
 
-    if (hideBtn) {
-      hideBtn.addEventListener("click", () => {
+      displayArea.querySelector("#hide-resolved").addEventListener("click", () => {
+        this.destroyWorkspace();
+        this.destroyFilePreview();
         displayArea.remove();
       });
     }
+
+    this.renderReview();
   }
 
-  fallbackCopy() {
-    // Fallback copy method
-    const textArea = document.createElement("textarea");
-    textArea.value = this.resolvedContent;
-    textArea.style.position = "fixed";
-    textArea.style.left = "-9999px";
-    document.body.appendChild(textArea);
-    textArea.select();
+  // A structured merge result has no hunks to line up against
+  isStructuredResult() {
+    return Boolean(
+      this.structuredResult?.ok && this.resolvedContent === this.structuredResult.text
+    );
+  }
 
-    try {
-      document.execCommand("copy");
-      this.updateStatus("✅ Content copied to clipboard", "success");
-    } catch (err) {
-      this.updateStatus(
-        "❌ Copy failed - please select and copy manually",
-        "error"
+  getReviewContent() {
+    if (!this.isStructuredResult() && this.parsed && this.parsed.hunks.length > 0) {
+      return this.buildResolution(this.parsed, this.hunkChoices);
+    }
+    return this.resolvedContent || "";
+  }
+
+  renderReview() {
+    const body = document.querySelector(".merge-helper-display-body");
+    if (!body) {
+      return;
+    }
+
+    const canReview =
+      !this.isStructuredResult() && this.parsed && this.parsed.hunks.length > 0;
+    const tab = canReview || this.reviewTab !== "review" ? this.reviewTab : "file";
+
+    document.querySelectorAll(".merge-helper-display-tabs [data-tab]").forEach((button) => {
+      button.classList.toggle("selected", button.dataset.tab === tab);
+      button.disabled = button.dataset.tab === "review" && !canReview;
+    });
+    // The workspace has its own Copy, which checks for leftover markers
+    const copyAgain = document.querySelector("#copy-resolved");
+    if (copyAgain) {
+      copyAgain.hidden = tab === "edit";
+    }
+
+    if (tab === "edit") {
+      // Typing must never be interrupted by a re-render
+      if (!this.workspace || this.workspace.element !== body) {
+        this.destroyFilePreview();
+        body.className = "merge-helper-display-body";
+        this.workspace = new ResolutionWorkspace(body, {
+          seeds: this.getWorkspaceSeeds(),
+          markerSize: this.parsed?.markerSize,
+          // The textarea only keeps "\n" line endings
+          onApply: (text) =>
+            this.withHistory("Applied edited resolution", () =>
+              this.deliverResolution(
+                TextFormat.apply(text, this.parsed?.format),
+                "edited",
+                { target: "editor", userInitiated: true }
+              )
+            ),
+          onCopy: (text) =>
+            this.deliverResolution(
+              TextFormat.apply(text, this.parsed?.format),
+              "edited",
+              { target: "clipboard", userInitiated: true }
+            ),
+        });
+      }
+    } else if (tab === "review") {
+      this.destroyWorkspace();
+      this.destroyFilePreview();
+      body.className = "merge-helper-display-body merge-helper-review";
+      body.innerHTML = this.reviewView.render(this.parsed, (hunk) =>
+        this.resolveHunk(hunk, this.hunkChoices[hunk.index])
+      );
+    } else {
+      // The preview keeps its scroll position while the content updates
+      if (!this.filePreview || this.filePreview.element !== body) {
+        this.destroyWorkspace();
+        this.destroyFilePreview();
+        body.className = "merge-helper-display-body";
+        this.filePreview = new FilePreview(body);
+      }
+      this.filePreview.setContent(
+        TextFormat.normalize(this.getReviewContent()),
+        this.currentFile
       );
     }
+  }
 
-    document.body.removeChild(textArea);
+  // Strategies the workspace can start from, current decisions first
+  getWorkspaceSeeds() {
+    const seeds = [
+      { value: "decisions", label: "Current decisions", text: () => this.getReviewContent() },
+    ];
+    const parsed = this.parsed;
+    if (!parsed || parsed.hunks.length === 0) {
+      return seeds;
+    }
+
+    const content = this.getContent();
+    const forbidden = this.getForbiddenStrategies();
+    const structured = this.getStructuredStrategy();
+    const strategies = [
+      ["current", "Accept all current"],
+      ["incoming", "Accept all incoming"],
+      ["both", "Keep both"],
+      ...(parsed.hunks.some((hunk) => hunk.base !== null) ? [["base", "Accept all base"]] : []),
+      ...(structured ? [[structured, `Smart merge (${structured.toUpperCase()})`]] : []),
+    ];
+
+    for (const [value, label] of strategies) {
+      if (!forbidden[value]) {
+        seeds.push({ value, label, text: () => this.processConflicts(content, value) });
+      }
+    }
+    return seeds;
+  }
+
+  destroyWorkspace() {
+    if (this.workspace) {
+      this.workspace.destroy();
+      this.workspace = null;
+    }
+  }
+
+  destroyFilePreview() {
+    if (this.filePreview) {
+      this.filePreview.destroy();
+      this.filePreview = null;
+    }
   }
 
   processConflicts(content, choice) {
-    const lines = content.split("\n");
-    const resolvedLines = [];
-    let i = 0;
+    const parsed = this.parseConflicts(content);
+    this.attachMergeBase(parsed);
 
-    while (i < lines.length) {
-      const line = lines[i];
+    // Structured strategies rebuild both sides and merge them as a whole;
+    // collisions without a choice keep the current value
+    if (this.structuredMergers[choice]) {
+      const result = this.structuredMergers[choice].merge(
+        {
+          current: this.buildSideText(parsed, "current"),
+          incoming: this.buildSideText(parsed, "incoming"),
+          base: this.buildSideText(parsed, "base"),
+        },
+        this.structuredResolutions
+      );
+      return result.ok ? TextFormat.apply(result.text, parsed.format) : content;
+    }
 
-      if (line.startsWith("<<<<<<<")) {
-        const { middleIndex, endIndex } = this.findConflictBoundaries(lines, i);
+    const choices = parsed.hunks.map(() => ({ choice }));
+    return this.buildResolution(parsed, choices);
+  }
 
-        if (middleIndex !== -1 && endIndex !== -1) {
-          if (choice === "current") {
-            for (let k = i + 1; k < middleIndex; k++) {
-              resolvedLines.push(lines[k]);
-            }
-          } else if (choice === "incoming") {
-            for (let k = middleIndex + 1; k < endIndex; k++) {
-              resolvedLines.push(lines[k]);
-            }
-          } else if (choice === "both") {
-            for (let k = i + 1; k < middleIndex; k++) {
-              resolvedLines.push(lines[k]);
-            }
-            for (let k = middleIndex + 1; k < endIndex; k++) {
-              resolvedLines.push(lines[k]);
-            }
-          }
-          i = endIndex + 1;
-        } else {
-          resolvedLines.push(line);
-          i++;
-        }
-      } else {
-        resolvedLines.push(line);
-        i++;
-      }
+  parseConflicts(content) {
+    // Split the file into plain text segments and conflict hunks, see conflict-parser.js.
+    // Hunks hold normalized lines; `format` restores the file's own line endings.
+    const parsed = ConflictParser.parse(TextFormat.normalize(content));
+    parsed.format = this.detectFormat(content);
+    return parsed;
+  }
+
+  // The editors join lines with "\n" whatever the file uses, so the format
+  // comes from the file on the head branch when the API has it, then from the
+  // editor's own line separator, and only then from the text itself
+  detectFormat(content) {
+    const headFormat = this.headFormats.get(this.currentFile);
+    if (headFormat) {
+      return headFormat;
     }
 
-    return resolvedLines.join("\n");
+    const format = TextFormat.detect(content);
+    const separator = this.editors.lineSeparator();
+    if (separator && !format.mixed) {
+      format.eol = separator;
+    }
+    return format;
   }
 
-  findConflictBoundaries(lines, startIndex) {
-    let middleIndex = -1;
-    let endIndex = -1;
+  resolveHunk(hunk, decision) {
+    // Returns the lines that replace the hunk, or null while it is unresolved
+    if (!decision || !decision.choice) {
+      return null;
+    }
 
-    for (let j = startIndex + 1; j < lines.length; j++) {
-      const line = lines[j].trim();
-      if (line === "=======") {
-        middleIndex = j;
-      } else if (line.startsWith(">>>>>>>")) {
-        endIndex = j;
-        break;
+    switch (decision.choice) {
+      case "current":
+        return hunk.current;
+      case "incoming":
+        return hunk.incoming;
+      case "both":
+        return this.combineSides(hunk, decision.both || this.keepBothOptions);
+      case "union":
+        return LineUnion.merge(hunk, this.currentFile);
+      case "base":
+        return hunk.base;
+      case "merged":
+        return hunk.base ? ThreeWayMerge.mergeLines(hunk.base, hunk.current, hunk.incoming) : null;
+      case "custom":
+        return decision.customText ? decision.customText.split("\n") : [];
+      case "pick":
+        return this.composePickedLines(hunk, decision);
+      default:
+        return null;
+    }
+  }
+
+  buildResolution(parsed, choices) {
+    const resolvedLines = [];
+
+    for (const segment of parsed.segments) {
+      if (segment.type === "text") {
+        resolvedLines.push(...segment.lines);
+        continue;
       }
+
+      const lines = this.resolveHunk(segment.hunk, choices[segment.hunk.index]);
+      // Unresolved hunks keep their markers so nothing is silently dropped
+      resolvedLines.push(...(lines || segment.hunk.raw));
     }
 
-    return { middleIndex, endIndex };
+    return TextFormat.apply(resolvedLines.join("\n"), parsed.format);
   }
 
   escapeHtml(text) {
@@ -766,63 +3306,108 @@ class MergeConflictHelper {
   }
 
   getContent() {
-    // Try to get content safely without breaking CodeMirror
-    const textarea = document.querySelector(".file-editor-textarea");
-    if (textarea && textarea.value) {
-      return textarea.value;
-    }
-
-    // Try CodeMirror content
-    const codeMirror = document.querySelector(".CodeMirror");
-    if (codeMirror && codeMirror.CodeMirror) {
-      const content = codeMirror.CodeMirror.getValue();
-      if (content) {
-        return content;
-      }
-    }
-
-    // Fallback: try other textareas that have content
-    const allTextareas = document.querySelectorAll("textarea");
-    for (const ta of allTextareas) {
-      if (ta.value && ta.value.trim()) {
-        return ta.value;
-      }
-    }
-
-    // Last resort: try to find content in the DOM
-    const blobWrapper = document.querySelector(".blob-wrapper");
-    if (blobWrapper) {
-      const textContent = blobWrapper.textContent || "";
-      if (textContent.includes("<<<<<<<")) {
-        return textContent;
-      }
-    }
-
-    return "";
+    // Only the active editor adapter is trusted; rendered page text is never used
+    return this.editors.read();
   }
 
   hasConflicts() {
-    const content = this.getContent();
+    const parsed = this.parseConflicts(this.getContent());
     return (
-      content.includes("<<<<<<<") &&
-      content.includes("=======") &&
-      content.includes(">>>>>>>")
+      parsed.hunks.length > 0 ||
+      parsed.diagnostics.some((diagnostic) => diagnostic.severity === "error")
     );
   }
 
   getConflictCount() {
-    const content = this.getContent();
-    const conflicts = content.match(/<<<<<<</g);
-    return conflicts ? conflicts.length : 0;
+    return this.parseConflicts(this.getContent()).hunks.length;
+  }
+
+  // Malformed marker blocks can't be resolved safely; returns true (and says
+  // so) when the file has any
+  blockedByDiagnostics(parsed = this.parsed, path = this.currentFile) {
+    const errors = (parsed?.diagnostics || []).filter(
+      (diagnostic) => diagnostic.severity === "error"
+    );
+    if (errors.length === 0) {
+      return false;
+    }
+
+    this.updateStatus(
+      `❌ ${path ? `${path}: ` : ""}line ${errors[0].line}: ${errors[0].message}${
+        errors.length > 1 ? ` (+${errors.length - 1} more)` : ""
+      }`,
+      "error"
+    );
+    return true;
+  }
+
+  renderDiagnostics() {
+    const element = document.querySelector(".merge-helper-diagnostics");
+    if (!element) {
+      return;
+    }
+
+    const diagnostics = this.parsed?.diagnostics || [];
+    element.hidden = diagnostics.length === 0;
+    element.innerHTML = diagnostics
+      .map(
+        (diagnostic) => `
+            <div class="merge-helper-diagnostic ${diagnostic.severity}" data-line="${diagnostic.line}">
+                ${diagnostic.severity === "error" ? "❌" : "⚠"}
+                <span class="merge-helper-diagnostic-line">Line ${diagnostic.line}</span>
+                ${this.escapeHtml(diagnostic.message)}
+            </div>`
+      )
+      .join("");
   }
 
   updateConflictStatus() {
+    // Switching files in the conflict list doesn't always change the URL
+    const currentFile = this.detectCurrentFile() || this.currentFile;
+    if (currentFile !== this.currentFile) {
+      this.currentFile = currentFile;
+      this.hunkSignature = null;
+      this.firedRules = [];
+      this.applyRules().catch((error) => this.debug("Could not apply rules:", error.message));
+      this.loadHeadFormat();
+      this.loadMergeBaseFile();
+    }
+
+    // Refresh the hunk list only when the conflicts themselves changed
+    const previousSignature = this.hunkSignature;
+    this.syncHunks();
+    if (this.hunkSignature !== previousSignature) {
+      this.renderHunkList();
+      this.checkRecordedResolutions();
+      this.loadHunkCommits();
+    }
+    this.recordSessionState();
+    this.renderSessionView();
+    this.renderDiagnostics();
+    this.updateFormatBadge();
+    this.noteEditorChange();
+
     const hasConflicts = this.hasConflicts();
     const conflictCount = this.getConflictCount();
+    const resolvedCount = this.getResolvedHunkCount();
     const status = document.querySelector(".merge-helper-status");
 
+    const trivialCount = this.getTrivialHunkCount();
+
     if (status) {
-      if (hasConflicts) {
+      if (hasConflicts && trivialCount > 0) {
+        const total = this.parsed.hunks.length;
+        status.textContent = `${total} conflict${
+          total === 1 ? "" : "s"
+        }, ${trivialCount} trivially resolved${
+          resolvedCount > trivialCount ? ` · ${resolvedCount} of ${total} resolved` : ""
+        }`;
+        status.style.color = resolvedCount === total ? "#238636" : "#f0883e";
+      } else if (hasConflicts && resolvedCount > 0) {
+        status.textContent = `${resolvedCount} of ${this.parsed.hunks.length} resolved`;
+        status.style.color =
+          resolvedCount === this.parsed.hunks.length ? "#238636" : "#f0883e";
+      } else if (hasConflicts) {
         status.textContent = `${conflictCount} conflict${
           conflictCount === 1 ? "" : "s"
         } detected`;
@@ -834,6 +3419,11 @@ class MergeConflictHelper {
     }
   }
 
+  scheduleStatusUpdate() {
+    clearTimeout(this.statusUpdateTimer);
+    this.statusUpdateTimer = setTimeout(() => this.updateConflictStatus(), 200);
+  }
+
   updateStatus(message, type = "info") {
     const status = document.querySelector(".merge-helper-status");
     if (status) {
@@ -856,6 +3446,7 @@ class MergeConflictHelper {
   }
   cleanup() {
     this.debug("Cleaning up merge conflict helper...");
+    this.destroyed = true;
 
     // Stop periodic check
     this.stopPeriodicCheck();
@@ -872,12 +3463,18 @@ class MergeConflictHelper {
       this.contentObserver = null;
     }
 
+    if (this.onHistoryKey) {
+      document.removeEventListener("keydown", this.onHistoryKey);
+      this.onHistoryKey = null;
+    }
+
     // Remove any elements we added
     const elementsToRemove = [
       ".merge-helper-buttons",
       ".merge-helper-status",
       ".merge-helper-copy-success",
       ".merge-helper-resolved-content",
+      ".merge-helper-display",
     ];
 
     elementsToRemove.forEach((selector) => {
@@ -887,11 +3484,22 @@ class MergeConflictHelper {
 
     // Clear any stored data
     this.resolvedContent = null;
+    this.parsed = null;
+    this.hunkChoices = [];
+    this.hunkSignature = null;
 
     // Remove message listener
     if (this.messageListener && chrome.runtime.onMessage.hasListener) {
       chrome.runtime.onMessage.removeListener(this.messageListener);
     }
+
+    // Release the editor adapter and the page bridge
+    clearTimeout(this.statusUpdateTimer);
+    clearTimeout(this.rateLimitTimer);
+    this.answerGuidedStep(false);
+    this.editors.destroy();
+    this.destroyWorkspace();
+    this.destroyFilePreview();
   }
 
   startPeriodicCheck() {
@@ -1021,7 +3629,10 @@ class MergeConflictHelper {
       ) {
         // Only update if we already have buttons (avoid unnecessary checks)
         this.debug("Content change detected, updating status...");
-        setTimeout(() => {
+        setTimeout(async () => {
+          // The editor may have been swapped for a different one
+          await this.editors.activate();
+          this.updateEditorBadge();
           this.updateConflictStatus();
         }, 200);
       }
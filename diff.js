@@ -0,0 +1,130 @@
+// GitHub Merge Conflict Helper - Text Diff
+// Myers' O(ND) diff over arrays (lines or words), shared by the content script views
+class TextDiff {
+  // Returns a list of { type: "equal" | "remove" | "add", value } operations
+  // that turn `a` into `b`. The search keeps a snapshot per edit, so its memory
+  // grows with the square of the edit distance; with `maxEdits`, null is
+  // returned once the inputs turn out to differ by more than that.
+  static diff(a, b, { maxEdits = Infinity } = {}) {
+    // Common prefix and suffix are trimmed first to keep the search small
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const middle = TextDiff.myers(a.slice(start, endA), b.slice(start, endB), maxEdits);
+    if (!middle) {
+      return null;
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) {
+      ops.push({ type: "equal", value: a[i] });
+    }
+    ops.push(...middle);
+    for (let i = endA; i < a.length; i++) {
+      ops.push({ type: "equal", value: a[i] });
+    }
+
+    return ops;
+  }
+
+  static myers(a, b, maxEdits = Infinity) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    if (max === 0) {
+      return [];
+    }
+
+    for (let d = 0; d <= max; d++) {
+      if (d > maxEdits) {
+        return null;
+      }
+      // Only the diagonals reachable in this round are kept for backtracking
+      trace.push(v.slice(offset - d, offset + d + 1));
+
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1];
+        } else {
+          x = v[offset + k - 1] + 1;
+        }
+
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          return TextDiff.backtrack(trace, a, b);
+        }
+      }
+    }
+
+    return [];
+  }
+
+  static backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+      const v = trace[d];
+      const at = (k) => v[k + d];
+      const k = x - y;
+
+      const prevK =
+        k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: "equal", value: a[x - 1] });
+        x--;
+        y--;
+      }
+
+      if (x === prevX) {
+        ops.push({ type: "add", value: b[y - 1] });
+      } else {
+        ops.push({ type: "remove", value: a[x - 1] });
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    while (x > 0 && y > 0) {
+      ops.push({ type: "equal", value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    return ops.reverse();
+  }
+
+  // Summarises a diff as added/removed counts
+  static stats(ops) {
+    return {
+      added: ops.filter((op) => op.type === "add").length,
+      removed: ops.filter((op) => op.type === "remove").length,
+    };
+  }
+}
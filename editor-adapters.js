@@ -0,0 +1,330 @@
+// GitHub Merge Conflict Helper - Editor Adapters
+// Each adapter detects one kind of editor and exposes the same small surface:
+// read, write, selection and scroll-to-line. Positions are { line, ch } with
+// 1-based lines and 0-based characters, matching the hunk line numbers.
+
+// Talks to page-bridge.js, which runs in the page's own context
+class PageBridgeClient {
+  constructor() {
+    this.requests = new Map();
+    this.eventListeners = new Set();
+
+    this.listener = (event) => {
+      const message = event.data;
+      if (
+        event.source !== window ||
+        !message ||
+        message.source !== "merge-helper-bridge"
+      ) {
+        return;
+      }
+
+      if (message.event) {
+        this.eventListeners.forEach((listener) => listener(message));
+        return;
+      }
+
+      const pending = this.requests.get(message.id);
+      if (!pending) {
+        return;
+      }
+
+      this.requests.delete(message.id);
+      clearTimeout(pending.timer);
+      if (message.error) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+    };
+    window.addEventListener("message", this.listener);
+  }
+
+  call(method, params = {}, timeout = 1000) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.requests.delete(id);
+        reject(new Error(`Bridge did not answer: ${method}`));
+      }, timeout);
+
+      this.requests.set(id, { resolve, reject, timer });
+      window.postMessage(
+        { source: "merge-helper-content", id, method, params },
+        "*"
+      );
+    });
+  }
+
+  onEvent(listener) {
+    this.eventListeners.add(listener);
+    return () => this.eventListeners.delete(listener);
+  }
+
+  destroy() {
+    window.removeEventListener("message", this.listener);
+    this.requests.forEach((pending) => clearTimeout(pending.timer));
+    this.requests.clear();
+    this.eventListeners.clear();
+  }
+}
+
+class EditorAdapter {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  // Cheap DOM check used to pick the adapter
+  detect() {
+    return false;
+  }
+
+  // Prepares synchronous reads; throws if the editor can't be used
+  async connect() {}
+
+  disconnect() {}
+
+  read() {
+    return "";
+  }
+
+  // The editor's own line ending ("\r\n" or "\n"), or null when it only
+  // hands out "\n"-joined text and the file's endings are unknown
+  lineSeparator() {
+    return null;
+  }
+
+  async write(text) {
+    throw new Error(`${this.label} does not support writing`);
+  }
+
+  async getSelection() {
+    return null;
+  }
+
+  async setSelection(from, to) {}
+
+  async scrollToLine(line) {}
+}
+
+// Editors that live in the page context (CodeMirror 5/6, Monaco)
+class BridgedEditorAdapter extends EditorAdapter {
+  constructor(bridge, name, label, selector, onChange) {
+    super(name, label);
+    this.bridge = bridge;
+    this.selector = selector;
+    this.onChange = onChange;
+    this.value = null;
+    this.separator = null;
+    this.unsubscribe = null;
+  }
+
+  detect() {
+    return document.querySelector(this.selector) !== null;
+  }
+
+  async connect() {
+    // The bridge sends the current text back and then pushes every change,
+    // which keeps read() synchronous
+    const result = await this.bridge.call("watch", { adapter: this.name });
+    this.value = result.value;
+    this.separator = result.lineSeparator || null;
+
+    this.unsubscribe = this.bridge.onEvent((message) => {
+      if (message.event === "change" && message.adapter === this.name) {
+        this.value = message.value;
+        this.onChange?.();
+      }
+    });
+  }
+
+  disconnect() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.value = null;
+    this.separator = null;
+    this.bridge.call("unwatch").catch(() => {});
+  }
+
+  read() {
+    return this.value ?? "";
+  }
+
+  lineSeparator() {
+    return this.separator;
+  }
+
+  async write(text) {
+    await this.bridge.call("setValue", { adapter: this.name, text });
+    this.value = text;
+  }
+
+  getSelection() {
+    return this.bridge.call("getSelection", { adapter: this.name });
+  }
+
+  async setSelection(from, to) {
+    await this.bridge.call("setSelection", { adapter: this.name, from, to });
+  }
+
+  async scrollToLine(line) {
+    await this.bridge.call("scrollToLine", { adapter: this.name, line });
+  }
+}
+
+// GitHub's plain textarea editor, used when no richer editor is mounted on it
+class TextareaAdapter extends EditorAdapter {
+  constructor() {
+    super("textarea", "Plain textarea");
+    this.selectors = [
+      ".file-editor-textarea",
+      "textarea[data-testid='file-editor-textarea']",
+    ];
+  }
+
+  findTextarea() {
+    for (const selector of this.selectors) {
+      const textarea = document.querySelector(selector);
+      // Rich editors hide the textarea they were mounted on
+      if (textarea && textarea.offsetParent !== null) {
+        return textarea;
+      }
+    }
+    return null;
+  }
+
+  detect() {
+    return this.findTextarea() !== null;
+  }
+
+  read() {
+    return this.findTextarea()?.value || "";
+  }
+
+  async write(text) {
+    const textarea = this.findTextarea();
+    if (!textarea) {
+      throw new Error("Textarea editor is gone");
+    }
+
+    textarea.focus();
+    textarea.select();
+    // insertText keeps the change on the textarea's native undo stack
+    if (!document.execCommand("insertText", false, text)) {
+      textarea.value = text;
+      textarea.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+  }
+
+  toPosition(text, offset) {
+    const before = text.substring(0, offset).split("\n");
+    return { line: before.length, ch: before[before.length - 1].length };
+  }
+
+  toOffset(text, position) {
+    const lines = text.split("\n");
+    let offset = 0;
+    for (let i = 0; i < position.line - 1 && i < lines.length; i++) {
+      offset += lines[i].length + 1;
+    }
+    return Math.min(offset + position.ch, text.length);
+  }
+
+  async getSelection() {
+    const textarea = this.findTextarea();
+    if (!textarea) {
+      return null;
+    }
+
+    const { value, selectionStart, selectionEnd } = textarea;
+    return {
+      from: this.toPosition(value, selectionStart),
+      to: this.toPosition(value, selectionEnd),
+      text: value.substring(selectionStart, selectionEnd),
+    };
+  }
+
+  async setSelection(from, to) {
+    const textarea = this.findTextarea();
+    if (textarea) {
+      textarea.focus();
+      textarea.setSelectionRange(
+        this.toOffset(textarea.value, from),
+        this.toOffset(textarea.value, to)
+      );
+    }
+  }
+
+  async scrollToLine(line) {
+    const textarea = this.findTextarea();
+    if (textarea) {
+      const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+      textarea.scrollTop = (line - 1) * lineHeight;
+    }
+  }
+}
+
+// Picks the first adapter whose editor is present and usable
+class EditorAdapters {
+  constructor({ debug = () => {}, onChange = null } = {}) {
+    this.debug = debug;
+    this.bridge = new PageBridgeClient();
+    this.active = null;
+
+    this.adapters = [
+      new BridgedEditorAdapter(this.bridge, "codemirror5", "CodeMirror 5", ".CodeMirror", onChange),
+      new BridgedEditorAdapter(this.bridge, "codemirror6", "CodeMirror 6", ".cm-editor", onChange),
+      new BridgedEditorAdapter(this.bridge, "monaco", "Monaco", ".monaco-editor", onChange),
+      new TextareaAdapter(),
+    ];
+  }
+
+  async activate() {
+    if (this.active && this.active.detect()) {
+      return this.active;
+    }
+
+    if (this.active) {
+      this.debug(`Editor adapter ${this.active.name} no longer matches`);
+      this.active.disconnect();
+      this.active = null;
+    }
+
+    for (const adapter of this.adapters) {
+      if (!adapter.detect()) {
+        continue;
+      }
+
+      try {
+        await adapter.connect();
+        this.active = adapter;
+        this.debug("Editor adapter active:", adapter.name);
+        return adapter;
+      } catch (error) {
+        this.debug(`Editor adapter ${adapter.name} failed:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  read() {
+    return this.active ? this.active.read() : "";
+  }
+
+  lineSeparator() {
+    return this.active ? this.active.lineSeparator() : null;
+  }
+
+  destroy() {
+    if (this.active) {
+      this.active.disconnect();
+      this.active = null;
+    }
+    this.bridge.destroy();
+  }
+}
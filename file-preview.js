@@ -0,0 +1,353 @@
+// GitHub Merge Conflict Helper - File Preview
+// Read-only view of a whole file with line numbers and syntax highlighting.
+// Only the lines in (or near) the viewport are in the DOM, so lockfiles with
+// tens of thousands of lines scroll smoothly.
+class FilePreview {
+  static get LINE_HEIGHT() {
+    return 18;
+  }
+
+  // Lines rendered above and below the viewport
+  static get OVERSCAN() {
+    return 30;
+  }
+
+  static get MAX_HEIGHT() {
+    return 480;
+  }
+
+  static get LANGUAGES() {
+    const clike = {
+      keywords:
+        "abstract as async await break case catch char class const continue default defer delete do double else enum export extends extern false final finally float fn for func go if impl implements import in int interface let long loop match mod mut namespace new nil null override package private protected pub public return self static struct super switch this throw throws trait true try type typeof use var void while yield",
+      lineComment: ["//"],
+      block: ["/*", "*/"],
+      quotes: ['"', "'", "`"],
+    };
+
+    return {
+      js: {
+        keywords:
+          "as async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while with yield",
+        lineComment: ["//"],
+        block: ["/*", "*/"],
+        quotes: ['"', "'", "`"],
+      },
+      clike,
+      json: { keywords: "true false null", quotes: ['"'], keys: true },
+      yaml: {
+        keywords: "true false null yes no on off",
+        lineComment: ["#"],
+        quotes: ['"', "'"],
+        keys: true,
+      },
+      toml: {
+        keywords: "true false",
+        lineComment: ["#", ";"],
+        quotes: ['"', "'"],
+        keys: true,
+      },
+      python: {
+        keywords:
+          "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+        lineComment: ["#"],
+        quotes: ['"', "'"],
+      },
+      ruby: {
+        keywords:
+          "begin break case class def defined do else elsif end ensure false for if in module next nil not or redo require rescue retry return self super then true undef unless until when while yield",
+        lineComment: ["#"],
+        quotes: ['"', "'"],
+      },
+      shell: {
+        keywords:
+          "case do done elif else esac export fi for function if in local return then until while",
+        lineComment: ["#"],
+        quotes: ['"', "'"],
+      },
+      css: { keywords: "", block: ["/*", "*/"], quotes: ['"', "'"] },
+      markup: { keywords: "", block: ["<!--", "-->"], quotes: [], tags: true },
+    };
+  }
+
+  static get EXTENSIONS() {
+    return {
+      js: "js",
+      jsx: "js",
+      mjs: "js",
+      cjs: "js",
+      ts: "js",
+      tsx: "js",
+      json: "json",
+      jsonc: "json",
+      yml: "yaml",
+      yaml: "yaml",
+      lock: "yaml",
+      toml: "toml",
+      ini: "toml",
+      cfg: "toml",
+      py: "python",
+      rb: "ruby",
+      sh: "shell",
+      bash: "shell",
+      zsh: "shell",
+      go: "clike",
+      java: "clike",
+      kt: "clike",
+      kts: "clike",
+      c: "clike",
+      h: "clike",
+      cc: "clike",
+      cpp: "clike",
+      hpp: "clike",
+      cs: "clike",
+      rs: "clike",
+      swift: "clike",
+      scala: "clike",
+      php: "clike",
+      dart: "clike",
+      css: "css",
+      scss: "css",
+      less: "css",
+      html: "markup",
+      htm: "markup",
+      xml: "markup",
+      svg: "markup",
+      vue: "markup",
+    };
+  }
+
+  static get FILENAMES() {
+    return {
+      Dockerfile: "shell",
+      Makefile: "shell",
+      Gemfile: "ruby",
+      "Cargo.lock": "toml",
+      "poetry.lock": "toml",
+    };
+  }
+
+  // Language definition for a path, or null for plain text
+  static languageFor(path) {
+    if (!path) {
+      return null;
+    }
+
+    const name = path.split("/").pop();
+    const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+    const key = FilePreview.FILENAMES[name] || FilePreview.EXTENSIONS[extension];
+    if (!key) {
+      return null;
+    }
+
+    const language = FilePreview.LANGUAGES[key];
+    return { ...language, name: key, keywords: new Set(language.keywords.split(" ")) };
+  }
+
+  static escape(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  // Returns { html, inBlock } for one line; inBlock carries an open block
+  // comment over to the next line
+  static highlight(
+    line,
+    language,
+    inBlock = false,
+    markerSize = ConflictParser.DEFAULT_MARKER_SIZE
+  ) {
+    const escape = FilePreview.escape;
+    const span = (type, text) => `<span class="merge-helper-token-${type}">${escape(text)}</span>`;
+
+    if (ConflictParser.readMarker(line, markerSize)) {
+      return { html: span("marker", line), inBlock };
+    }
+    if (!language) {
+      return { html: escape(line), inBlock: false };
+    }
+
+    let html = "";
+    let i = 0;
+
+    while (i < line.length) {
+      const rest = line.substring(i);
+
+      if (inBlock || (language.block && rest.startsWith(language.block[0]))) {
+        const from = inBlock ? i : i + language.block[0].length;
+        const end = line.indexOf(language.block[1], from);
+        if (end === -1) {
+          html += span("comment", rest);
+          return { html, inBlock: true };
+        }
+        html += span("comment", line.substring(i, end + language.block[1].length));
+        i = end + language.block[1].length;
+        inBlock = false;
+        continue;
+      }
+
+      const char = line[i];
+      const afterSpace = i === 0 || /\s/.test(line[i - 1]);
+
+      if (
+        language.lineComment &&
+        language.lineComment.some(
+          (prefix) => rest.startsWith(prefix) && (prefix !== "#" || afterSpace)
+        )
+      ) {
+        html += span("comment", rest);
+        break;
+      }
+
+      if (language.quotes.includes(char)) {
+        let end = i + 1;
+        while (end < line.length && line[end] !== char) {
+          end += line[end] === "\\" ? 2 : 1;
+        }
+        const text = line.substring(i, end + 1);
+        const isKey = language.keys && /^\s*:/.test(line.substring(end + 1));
+        html += span(isKey ? "key" : "string", text);
+        i = end + 1;
+        continue;
+      }
+
+      if (language.tags && char === "<") {
+        const tag = rest.match(/^<\/?[\w:.-]+/);
+        if (tag) {
+          html += span("keyword", tag[0]);
+          i += tag[0].length;
+          continue;
+        }
+      }
+
+      const number = /[\w$]/.test(line[i - 1] || "") ? null : rest.match(/^-?\d[\w.]*/);
+      if (number) {
+        html += span("number", number[0]);
+        i += number[0].length;
+        continue;
+      }
+
+      const word = rest.match(/^[A-Za-z_$][\w$-]*/);
+      if (word) {
+        const text = word[0];
+        if (
+          language.keys &&
+          /^(\s*-\s+|\s*)$/.test(line.substring(0, i)) &&
+          /^\s*[:=]/.test(line.substring(i + text.length))
+        ) {
+          html += span("key", text);
+        } else if (language.keywords.has(text)) {
+          html += span("keyword", text);
+        } else {
+          html += escape(text);
+        }
+        i += text.length;
+        continue;
+      }
+
+      html += escape(char);
+      i++;
+    }
+
+    return { html, inBlock: false };
+  }
+
+  constructor(element) {
+    this.element = element;
+    this.lines = [];
+    this.states = [];
+    this.range = null;
+    this.frame = null;
+
+    element.classList.add("merge-helper-preview");
+    element.innerHTML = `
+            <div class="merge-helper-preview-spacer">
+                <div class="merge-helper-preview-window"></div>
+            </div>
+        `;
+    this.spacer = element.querySelector(".merge-helper-preview-spacer");
+    this.window = element.querySelector(".merge-helper-preview-window");
+
+    this.onScroll = () => {
+      if (!this.frame) {
+        this.frame = requestAnimationFrame(() => {
+          this.frame = null;
+          this.render();
+        });
+      }
+    };
+    element.addEventListener("scroll", this.onScroll);
+  }
+
+  setContent(text, path) {
+    this.lines = text.split("\n");
+    this.language = FilePreview.languageFor(path);
+    this.markerSize = ConflictParser.detectMarkerSize(text);
+
+    // Block comment state at the start of every line, so any window can be
+    // highlighted on its own
+    this.states = new Array(this.lines.length);
+    let inBlock = false;
+    for (let i = 0; i < this.lines.length; i++) {
+      this.states[i] = inBlock;
+      if (this.language && this.language.block) {
+        inBlock = FilePreview.highlight(
+          this.lines[i],
+          this.language,
+          inBlock,
+          this.markerSize
+        ).inBlock;
+      }
+    }
+
+    const height = this.lines.length * FilePreview.LINE_HEIGHT;
+    this.spacer.style.height = `${height}px`;
+    this.element.style.height = `${Math.min(FilePreview.MAX_HEIGHT, height + 12)}px`;
+    this.element.style.setProperty("--gutter-width", `${String(this.lines.length).length}ch`);
+    this.range = null;
+    this.render();
+  }
+
+  render() {
+    const lineHeight = FilePreview.LINE_HEIGHT;
+    const top = this.element.scrollTop;
+    const height = this.element.clientHeight || FilePreview.MAX_HEIGHT;
+    const first = Math.max(0, Math.floor(top / lineHeight) - FilePreview.OVERSCAN);
+    const last = Math.min(
+      this.lines.length,
+      Math.ceil((top + height) / lineHeight) + FilePreview.OVERSCAN
+    );
+
+    if (this.range && this.range.first === first && this.range.last === last) {
+      return;
+    }
+    this.range = { first, last };
+
+    const rows = [];
+    for (let i = first; i < last; i++) {
+      const { html } = FilePreview.highlight(
+        this.lines[i],
+        this.language,
+        this.states[i],
+        this.markerSize
+      );
+      rows.push(
+        `<div class="merge-helper-preview-line"><span class="merge-helper-preview-number">${
+          i + 1
+        }</span>${html}</div>`
+      );
+    }
+
+    this.window.style.transform = `translateY(${first * lineHeight}px)`;
+    this.window.innerHTML = rows.join("");
+  }
+
+  destroy() {
+    this.element.removeEventListener("scroll", this.onScroll);
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.element.classList.remove("merge-helper-preview");
+    this.element.style.height = "";
+  }
+}
@@ -0,0 +1,293 @@
+// GitHub Merge Conflict Helper - GitHub API Client
+// Thin wrapper around the REST API at api.github.com (granted in the manifest)
+// or a GitHub Enterprise host's /api/v3. Every call goes through request(),
+// which attaches the user's token, revalidates cached responses by ETag,
+// retries server errors with a backoff and stops calling once the rate limit
+// is hit until it resets. The base URL comes from the settings, so it can
+// point at a local mock server.
+class GitHubApiError extends Error {
+  constructor(message, status, { rateLimitedUntil = null } = {}) {
+    super(message);
+    this.name = "GitHubApiError";
+    this.status = status;
+    // Epoch ms when calls may resume, for rate limit errors
+    this.rateLimitedUntil = rateLimitedUntil;
+  }
+}
+
+class GitHubApi {
+  // Retries of server errors and network failures, after 1s, 2s, ...
+  static get MAX_RETRIES() {
+    return 2;
+  }
+
+  static get RETRY_DELAY() {
+    return 1000;
+  }
+
+  // Responses kept for ETag revalidation; the oldest are dropped beyond this
+  static get MAX_CACHED() {
+    return 100;
+  }
+
+  static get PUBLIC_BASE_URL() {
+    return "https://api.github.com";
+  }
+
+  constructor({
+    baseUrl = GitHubApi.PUBLIC_BASE_URL,
+    token = null,
+    fetchImpl = null,
+    onRateLimit = null,
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.token = token || null;
+    this.fetch = fetchImpl || ((...args) => fetch(...args));
+    // Called with the epoch ms calls resume at, or null once they work again
+    this.onRateLimit = onRateLimit;
+    // { limit, remaining, reset (epoch ms) } from the last response
+    this.rateLimit = null;
+    this.rateLimitedUntil = null;
+    this.cache = new Map();
+  }
+
+  // REST root of a GitHub Enterprise Server host
+  static enterpriseBaseUrl(host) {
+    return `https://${host}/api/v3`;
+  }
+
+  // The token that may go to `baseUrl`: github.com's only to the public API
+  // and an Enterprise host's only to its own /api/v3, never to any other
+  // server (such as a mock) the base URL points at
+  static tokenFor(baseUrl, tokens, enterpriseHost) {
+    const url = baseUrl.replace(/\/+$/, "");
+    if (url === GitHubApi.PUBLIC_BASE_URL) {
+      return tokens["github.com"] || null;
+    }
+    if (enterpriseHost && url === GitHubApi.enterpriseBaseUrl(enterpriseHost)) {
+      return tokens[enterpriseHost] || null;
+    }
+    return null;
+  }
+
+  // Extracts { owner, repo, pull } from a pull request URL
+  static parseLocation(location) {
+    const match = location.pathname.match(/^\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+    if (!match) {
+      return null;
+    }
+    return { owner: match[1], repo: match[2], pull: Number(match[3]) };
+  }
+
+  async request(path) {
+    if (this.rateLimitedUntil && Date.now() < this.rateLimitedUntil) {
+      throw new GitHubApiError(
+        `GitHub API rate limited until ${new Date(this.rateLimitedUntil).toLocaleTimeString()}`,
+        429,
+        { rateLimitedUntil: this.rateLimitedUntil }
+      );
+    }
+
+    const cached = this.cache.get(path);
+    const headers = { Accept: "application/vnd.github+json" };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    if (cached) {
+      headers["If-None-Match"] = cached.etag;
+    }
+
+    const response = await this.fetchWithRetry(`${this.baseUrl}${path}`, { headers });
+    this.readRateLimit(response);
+
+    // Not modified: doesn't count against the rate limit
+    if (response.status === 304 && cached) {
+      this.cache.delete(path);
+      this.cache.set(path, cached);
+      return cached.data;
+    }
+
+    if (!response.ok) {
+      let message = `GitHub API ${response.status}`;
+      try {
+        const body = await response.json();
+        if (body && body.message) {
+          message += `: ${body.message}`;
+        }
+      } catch (error) {
+        // Non-JSON error body
+      }
+
+      const until = this.rateLimitEnd(response);
+      if (until) {
+        this.rateLimitedUntil = until;
+        if (this.onRateLimit) {
+          this.onRateLimit(until);
+        }
+      }
+      throw new GitHubApiError(message, response.status, { rateLimitedUntil: until });
+    }
+
+    if (this.rateLimitedUntil) {
+      this.rateLimitedUntil = null;
+      if (this.onRateLimit) {
+        this.onRateLimit(null);
+      }
+    }
+
+    const data = await response.json();
+    const etag = response.headers.get("ETag");
+    if (etag) {
+      this.cache.delete(path);
+      this.cache.set(path, { etag, data });
+      if (this.cache.size > GitHubApi.MAX_CACHED) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    return data;
+  }
+
+  // Server errors and network failures are retried with an exponential
+  // backoff; anything else is the caller's to handle
+  async fetchWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      try {
+        response = await this.fetch(url, options);
+      } catch (error) {
+        if (attempt >= GitHubApi.MAX_RETRIES) {
+          throw new GitHubApiError(`GitHub API unreachable: ${error.message}`, 0);
+        }
+      }
+
+      if (response && (response.status < 500 || attempt >= GitHubApi.MAX_RETRIES)) {
+        return response;
+      }
+      await new Promise((resolve) =>
+        setTimeout(resolve, GitHubApi.RETRY_DELAY * 2 ** attempt)
+      );
+    }
+  }
+
+  readRateLimit(response) {
+    const limit = response.headers.get("X-RateLimit-Limit");
+    const remaining = response.headers.get("X-RateLimit-Remaining");
+    const reset = response.headers.get("X-RateLimit-Reset");
+    if (limit !== null && remaining !== null && reset !== null) {
+      this.rateLimit = {
+        limit: Number(limit),
+        remaining: Number(remaining),
+        reset: Number(reset) * 1000,
+      };
+    }
+  }
+
+  // When a 403/429 is a rate limit, the epoch ms it ends at; otherwise null.
+  // The primary limit reports its reset time, secondary limits a Retry-After.
+  rateLimitEnd(response) {
+    if (response.status !== 403 && response.status !== 429) {
+      return null;
+    }
+
+    const retryAfter = response.headers.get("Retry-After");
+    if (retryAfter !== null && !Number.isNaN(Number(retryAfter))) {
+      return Date.now() + Number(retryAfter) * 1000;
+    }
+    if (response.headers.get("X-RateLimit-Remaining") === "0" && this.rateLimit) {
+      return this.rateLimit.reset;
+    }
+    // Secondary limits without Retry-After: GitHub asks for at least a minute
+    return response.status === 429 ? Date.now() + 60 * 1000 : null;
+  }
+
+  repoPath(owner, repo) {
+    return `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+  }
+
+  // The account the token belongs to
+  getAuthenticatedUser() {
+    return this.request("/user");
+  }
+
+  getPullRequest(owner, repo, number) {
+    return this.request(`${this.repoPath(owner, repo)}/pulls/${number}`);
+  }
+
+  async getPullRequestInfo(owner, repo, number) {
+    return GitHubApi.summarizePullRequest(await this.getPullRequest(owner, repo, number));
+  }
+
+  // The parts of a pull request the helper uses. GitHub resolves conflicts
+  // by merging the base branch into the head branch, so the head is the
+  // "current" side of the markers and the base the "incoming" one.
+  static summarizePullRequest(pullRequest) {
+    const side = (ref) => ({
+      ref: ref.ref,
+      sha: ref.sha,
+      label: ref.label || ref.ref,
+      repo: ref.repo ? ref.repo.full_name : null,
+    });
+
+    return {
+      number: pullRequest.number,
+      title: pullRequest.title,
+      url: pullRequest.html_url,
+      author: pullRequest.user ? pullRequest.user.login : null,
+      state: pullRequest.state,
+      mergeable: pullRequest.mergeable ?? null,
+      mergeableState: pullRequest.mergeable_state || "unknown",
+      head: side(pullRequest.head),
+      base: side(pullRequest.base),
+    };
+  }
+
+  // SHA of the best common ancestor of two commits
+  async getMergeBase(owner, repo, base, head) {
+    const comparison = await this.request(
+      `${this.repoPath(owner, repo)}/compare/${encodeURIComponent(base)}...${encodeURIComponent(head)}`
+    );
+    return comparison.merge_base_commit ? comparison.merge_base_commit.sha : null;
+  }
+
+  // Commits reachable from `sha` that touched `path`, newest first; `since`
+  // (an ISO date) leaves out older ones
+  async listCommits(owner, repo, { sha, path, since = null, perPage = 30 }) {
+    const query = new URLSearchParams({
+      sha,
+      path,
+      ...(since ? { since } : {}),
+      per_page: String(perPage),
+    });
+    return this.request(`${this.repoPath(owner, repo)}/commits?${query}`);
+  }
+
+  // A single commit, including its files and their patches
+  async getCommit(owner, repo, sha) {
+    return this.request(`${this.repoPath(owner, repo)}/commits/${encodeURIComponent(sha)}`);
+  }
+
+  // Returns the decoded text of a file, or null if it doesn't exist at that
+  // ref. With `keepBom` a leading byte order mark is part of the text.
+  async getFileContent(owner, repo, path, ref, { keepBom = false } = {}) {
+    const encodedPath = path.split("/").map(encodeURIComponent).join("/");
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : "";
+
+    try {
+      const file = await this.request(
+        `${this.repoPath(owner, repo)}/contents/${encodedPath}${query}`
+      );
+      return GitHubApi.decodeBase64(file.content || "", { keepBom });
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  static decodeBase64(content, { keepBom = false } = {}) {
+    const binary = atob(content.replace(/\s/g, ""));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder("utf-8", { ignoreBOM: keepBom }).decode(bytes);
+  }
+}
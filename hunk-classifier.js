@@ -0,0 +1,98 @@
+// GitHub Merge Conflict Helper - Hunk Classifier
+// Sorts hunks into trivial ones (identical sides, only one side changed from
+// the base, changes that merge cleanly against it, whitespace-only
+// differences, one side empty) and real conflicts, and picks the choice the
+// user's policy makes for the trivial kinds.
+class HunkClassifier {
+  static get KINDS() {
+    return {
+      identical: "Identical sides",
+      "one-side-changed": "Only one side changed",
+      "clean-merge": "Merges cleanly against the base",
+      whitespace: "Whitespace only",
+      "one-side-empty": "One side empty",
+      conflict: "Real conflict",
+    };
+  }
+
+  // Files where indentation is syntax; only trailing whitespace is trivial there
+  static get SIGNIFICANT_INDENT() {
+    return /(\.(py|pyi|ya?ml|haml|pug|jade|sass|styl|coffee|nim|mk)|(^|\/)(Makefile|GNUmakefile))$/i;
+  }
+
+  static isBlank(lines) {
+    return lines.every((line) => line.trim() === "");
+  }
+
+  // Returns one of the KINDS keys
+  static classify(hunk, path) {
+    const { current, incoming } = hunk;
+    if (current.length === incoming.length && current.every((line, i) => line === incoming[i])) {
+      return "identical";
+    }
+
+    // With a base, a side equal to it didn't change anything
+    if (hunk.base) {
+      if (ThreeWayMerge.same(current, hunk.base) || ThreeWayMerge.same(incoming, hunk.base)) {
+        return "one-side-changed";
+      }
+      if (ThreeWayMerge.mergeLines(hunk.base, current, incoming)) {
+        return "clean-merge";
+      }
+    }
+
+    const currentBlank = HunkClassifier.isBlank(current);
+    const incomingBlank = HunkClassifier.isBlank(incoming);
+    if (currentBlank !== incomingBlank) {
+      return "one-side-empty";
+    }
+
+    const keepIndent = Boolean(path && HunkClassifier.SIGNIFICANT_INDENT.test(path));
+    const normalize = (lines) =>
+      lines
+        .map((line) =>
+          keepIndent
+            ? line.replace(/\s+$/, "")
+            : line.replace(/\s+/g, " ").trim()
+        )
+        .filter((line) => line.trim() !== "");
+    const a = normalize(current);
+    const b = normalize(incoming);
+
+    return a.length === b.length && a.every((line, i) => line === b[i])
+      ? "whitespace"
+      : "conflict";
+  }
+
+  // policy: { identical: boolean, threeWay: boolean, recoveredBase: boolean,
+  // whitespace: "off" | "current" | "incoming", emptySide: "off" | "non-empty" |
+  // "empty" }. Returns a choice or null.
+  static decide(kind, hunk, policy) {
+    const threeWay = policy.threeWay && (!hunk.baseRecovered || policy.recoveredBase);
+
+    switch (kind) {
+      case "identical":
+        return policy.identical ? "current" : null;
+      case "one-side-changed":
+        if (!threeWay) {
+          return null;
+        }
+        return ThreeWayMerge.same(hunk.current, hunk.base) ? "incoming" : "current";
+      case "clean-merge":
+        return threeWay ? "merged" : null;
+      case "whitespace":
+        return policy.whitespace === "current" || policy.whitespace === "incoming"
+          ? policy.whitespace
+          : null;
+      case "one-side-empty": {
+        if (policy.emptySide !== "non-empty" && policy.emptySide !== "empty") {
+          return null;
+        }
+        const currentBlank = HunkClassifier.isBlank(hunk.current);
+        return (policy.emptySide === "empty") === currentBlank ? "current" : "incoming";
+      }
+      default:
+        return null;
+    }
+  }
+}
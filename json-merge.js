@@ -0,0 +1,318 @@
+// GitHub Merge Conflict Helper - JSON Merge
+// Merges the current and incoming versions of a JSON file key by key instead
+// of line by line. Values that both sides changed differently, and values one
+// side changed while the other deleted them, are reported as collisions, each
+// resolved by its own choice. Both sides are read into a tree that keeps key
+// order and each value's source text, so keys like "__proto__" or "2" survive
+// and untouched values come out formatted exactly as they went in.
+class JsonMerge {
+  // texts: { current, incoming, base } full-file texts (base may be null).
+  // resolutions: { [collisionKey]: "current" | "incoming" | "both" }
+  static merge(texts, resolutions = {}) {
+    let current;
+    let incoming;
+    let base;
+
+    try {
+      current = JsonMerge.parse(texts.current);
+    } catch (error) {
+      return { ok: false, error: `Current side is not valid JSON (${error.message})` };
+    }
+    try {
+      incoming = JsonMerge.parse(texts.incoming);
+    } catch (error) {
+      return { ok: false, error: `Incoming side is not valid JSON (${error.message})` };
+    }
+    try {
+      base = texts.base !== null && texts.base !== undefined ? JsonMerge.parse(texts.base) : undefined;
+    } catch (error) {
+      // Without a parseable base the merge is two-way
+      base = undefined;
+    }
+
+    const state = { resolutions, collisions: [] };
+    const merged = JsonMerge.mergeValues(current, incoming, base, [], state);
+    const text =
+      JsonMerge.serialize(merged, 0, JsonMerge.detectStyle(texts.current)) +
+      (/\r?\n$/.test(texts.current) ? "\n" : "");
+
+    return {
+      ok: true,
+      text,
+      collisions: state.collisions,
+      unresolved: state.collisions.filter((collision) => !collision.resolution).length,
+    };
+  }
+
+  // Reads JSON into nodes: { type: "object", entries: [{ key, keyRaw, value }] },
+  // { type: "array", items } or { type: "value" }, each with its source `raw`.
+  // Throws like JSON.parse on invalid input.
+  static parse(text) {
+    // JSON.parse reports the errors; the reader below can then trust its input
+    JSON.parse(text);
+
+    let i = 0;
+    const skip = () => {
+      while (i < text.length && " \t\n\r".includes(text[i])) {
+        i++;
+      }
+    };
+    const string = () => {
+      const start = i++;
+      while (text[i] !== '"') {
+        i += text[i] === "\\" ? 2 : 1;
+      }
+      i++;
+      return text.slice(start, i);
+    };
+    const value = () => {
+      skip();
+      const start = i;
+
+      if (text[i] === "{" || text[i] === "[") {
+        const isObject = text[i] === "{";
+        const close = isObject ? "}" : "]";
+        const children = [];
+        i++;
+        skip();
+        if (text[i] === close) {
+          i++;
+        } else {
+          for (;;) {
+            if (isObject) {
+              skip();
+              const keyRaw = string();
+              skip();
+              i++; // ":"
+              children.push({ key: JSON.parse(keyRaw), keyRaw, value: value() });
+            } else {
+              children.push(value());
+            }
+            skip();
+            if (text[i++] === close) {
+              break;
+            }
+          }
+        }
+        const raw = text.slice(start, i);
+        return isObject
+          ? { type: "object", entries: children, raw }
+          : { type: "array", items: children, raw };
+      }
+
+      if (text[i] === '"') {
+        return { type: "value", raw: string() };
+      }
+      const literal = /-?[\w.+-]+/y;
+      literal.lastIndex = i;
+      i += literal.exec(text)[0].length;
+      return { type: "value", raw: text.slice(start, i) };
+    };
+
+    return value();
+  }
+
+  // Key order doesn't make two objects different
+  static canonical(node) {
+    if (node.type === "object") {
+      const entries = new Map(node.entries.map((entry) => [entry.key, entry.value]));
+      return `{${Array.from(entries.keys())
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${JsonMerge.canonical(entries.get(key))}`)
+        .join(",")}}`;
+    }
+    if (node.type === "array") {
+      return `[${node.items.map(JsonMerge.canonical).join(",")}]`;
+    }
+    return JSON.stringify(JSON.parse(node.raw));
+  }
+
+  // Nodes built by the merge have no `raw` and are laid out in the file's
+  // style (see detectStyle); everything else is written back as it was
+  static serialize(node, depth, style) {
+    if (node.raw !== null) {
+      return node.raw;
+    }
+
+    const isObject = node.type === "object";
+    const [open, close] = isObject ? ["{", "}"] : ["[", "]"];
+    const children = isObject
+      ? node.entries.map(
+          (entry) =>
+            `${entry.keyRaw}${style.colon}${JsonMerge.serialize(entry.value, depth + 1, style)}`
+        )
+      : node.items.map((item) => JsonMerge.serialize(item, depth + 1, style));
+    if (children.length === 0) {
+      return `${open}${close}`;
+    }
+    const { indent } = style;
+    if (!indent) {
+      return `${open}${children.join(style.comma)}${close}`;
+    }
+
+    const unit = typeof indent === "number" ? " ".repeat(indent) : indent;
+    const pad = unit.repeat(depth + 1);
+    return `${open}\n${children.map((child) => pad + child).join(",\n")}\n${unit.repeat(
+      depth
+    )}${close}`;
+  }
+
+  static preview(node) {
+    return JsonMerge.serialize(node, 0, { indent: 2, colon: ": ", comma: "," });
+  }
+
+  static equal(a, b) {
+    return JsonMerge.canonical(a) === JsonMerge.canonical(b);
+  }
+
+  static collisionKey(path) {
+    return JSON.stringify(path);
+  }
+
+  static formatPath(path) {
+    return path.length === 0
+      ? "(root)"
+      : path
+          .map((segment, index) =>
+            typeof segment === "number"
+              ? `[${segment}]`
+              : /^[A-Za-z_$][\w$]*$/.test(segment)
+              ? `${index === 0 ? "" : "."}${segment}`
+              : `[${JSON.stringify(segment)}]`
+          )
+          .join("");
+  }
+
+  static mergeValues(current, incoming, base, path, state) {
+    if (JsonMerge.equal(current, incoming)) {
+      return current;
+    }
+
+    // With a base, a side that didn't change yields to the one that did
+    if (base !== undefined) {
+      if (JsonMerge.equal(current, base)) {
+        return incoming;
+      }
+      if (JsonMerge.equal(incoming, base)) {
+        return current;
+      }
+    }
+
+    if (current.type === "object" && incoming.type === "object") {
+      return JsonMerge.mergeObjects(
+        current,
+        incoming,
+        base && base.type === "object" ? base : undefined,
+        path,
+        state
+      );
+    }
+
+    return JsonMerge.collide(current, incoming, base, path, state);
+  }
+
+  static mergeObjects(current, incoming, base, path, state) {
+    const byKey = (node) =>
+      new Map(node ? node.entries.map((entry) => [entry.key, entry]) : []);
+    const currentEntries = byKey(current);
+    const incomingEntries = byKey(incoming);
+    const baseEntries = byKey(base);
+    const entries = [];
+
+    // Current's key order first, then keys only incoming has
+    const keys = [
+      ...currentEntries.keys(),
+      ...Array.from(incomingEntries.keys()).filter((key) => !currentEntries.has(key)),
+    ];
+
+    for (const key of keys) {
+      const currentEntry = currentEntries.get(key);
+      const incomingEntry = incomingEntries.get(key);
+      const baseValue = baseEntries.get(key)?.value;
+      const entry = currentEntry || incomingEntry;
+      let value;
+
+      if (currentEntry && incomingEntry) {
+        value = JsonMerge.mergeValues(
+          currentEntry.value,
+          incomingEntry.value,
+          baseValue,
+          [...path, key],
+          state
+        );
+      } else {
+        // A key only one side has was added by it, or deleted by the other:
+        // dropped if the deleted value was unchanged, a collision if not
+        const kept = entry.value;
+        if (baseValue === undefined) {
+          value = kept;
+        } else if (!JsonMerge.equal(baseValue, kept)) {
+          value = currentEntry
+            ? JsonMerge.collide(kept, undefined, baseValue, [...path, key], state)
+            : JsonMerge.collide(undefined, kept, baseValue, [...path, key], state);
+        }
+      }
+
+      if (value !== undefined) {
+        entries.push({ key, keyRaw: entry.keyRaw, value });
+      }
+    }
+
+    return { type: "object", entries, raw: null };
+  }
+
+  // `current` or `incoming` is undefined when that side deleted the value
+  static collide(current, incoming, base, path, state) {
+    const key = JsonMerge.collisionKey(path);
+    const canCombine = current?.type === "array" && incoming?.type === "array";
+    const resolution = state.resolutions[key] || null;
+
+    state.collisions.push({
+      key,
+      path: JsonMerge.formatPath(path),
+      current,
+      incoming,
+      base,
+      canCombine,
+      resolution,
+    });
+
+    if (resolution === "incoming") {
+      return incoming;
+    }
+    if (resolution === "both" && canCombine) {
+      return {
+        type: "array",
+        items: [
+          ...current.items,
+          ...incoming.items.filter(
+            (item) => !current.items.some((existing) => JsonMerge.equal(existing, item))
+          ),
+        ],
+        raw: null,
+      };
+    }
+    // Unresolved collisions keep the current value until a choice is made
+    return current;
+  }
+
+  // { indent, colon, comma }: the file's indentation and whether single-line
+  // objects put a space after ":" and ","
+  static detectStyle(text) {
+    const indent = JsonMerge.detectIndent(text);
+    return {
+      indent,
+      colon: /"\s*: /.test(text) || indent ? ": " : ":",
+      comma: !indent && /, "/.test(text) ? ", " : ",",
+    };
+  }
+
+  // Indentation of the original file: a tab, a number of spaces, or none
+  static detectIndent(text) {
+    const match = text.match(/^[{[][^\n]*\r?\n([ \t]+)\S/m);
+    if (!match) {
+      return text.trim().includes("\n") ? 2 : 0;
+    }
+    return match[1].includes("\t") ? "\t" : match[1].length;
+  }
+}
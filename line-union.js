@@ -0,0 +1,222 @@
+// GitHub Merge Conflict Helper - Line Union
+// "Union" for hunks that are one-entry-per-line lists: import/require/use
+// blocks, requirements.txt lines, quoted list items and bullets. Both sides'
+// entries are combined without duplicates, sorted if the surrounding list is.
+// Entries that name the same module or package differently on the two sides
+// (a version bump, another import specifier) are a real conflict, not a list.
+class LineUnion {
+  // Each pattern's first group is the entry's sort key. Patterns marked
+  // `named` have the module or package as that key, which then identifies the
+  // entry; other entries are identified by their whole text.
+  static get PATTERNS() {
+    return [
+      {
+        kind: "import",
+        regex: /^\s*import\s+(?:[^"'`]+?\s+from\s+)?["']([^"']+)["'];?\s*$/,
+        named: true,
+      },
+      {
+        kind: "require",
+        regex: /^\s*(?:const|let|var)\s+[^=]+=\s*require\(\s*["']([^"']+)["']\s*\);?\s*$/,
+        named: true,
+      },
+      { kind: "python", regex: /^\s*from\s+([\w.]+)\s+import\s+[^()\\]+$/, named: true },
+      { kind: "python", regex: /^\s*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)\s*$/ },
+      { kind: "use", regex: /^\s*(?:pub\s+)?use\s+([\w:{}, *]+);\s*$/ },
+      { kind: "include", regex: /^\s*#\s*include\s+[<"]([^>"]+)[>"]\s*$/ },
+      { kind: "list", regex: /^\s*(["'`])(.*)\1\s*,?\s*$/, group: 2 },
+      { kind: "bullet", regex: /^\s*[-*+]\s+(.+?)\s*$/ },
+      {
+        kind: "requirement",
+        regex: /^\s*([A-Za-z0-9][\w.-]*(?:\[[\w,\s-]+\])?)\s*(?:[=<>!~]=?.*|@.*|;.*)?$/,
+        path: /(^|\/)(requirements[^/]*\.(txt|in)|constraints[^/]*\.txt)$/i,
+        named: true,
+      },
+    ];
+  }
+
+  // Returns { text, key, name, sortKey, kind } for a list entry, or null
+  static parseEntry(line, path) {
+    for (const pattern of LineUnion.PATTERNS) {
+      if (pattern.path && !(path && pattern.path.test(path))) {
+        continue;
+      }
+
+      const match = line.match(pattern.regex);
+      if (match) {
+        const key = line.trim().replace(/\s+/g, " ").replace(/[;,]$/, "");
+        const sortKey = match[pattern.group || 1].toLowerCase();
+        return {
+          text: line,
+          kind: pattern.kind,
+          key,
+          name: pattern.named ? `${pattern.kind}:${LineUnion.normalizeName(pattern.kind, sortKey)}` : key,
+          sortKey,
+        };
+      }
+    }
+    return null;
+  }
+
+  // Package names compare like pip does: extras dropped, "-", "_" and "." alike
+  static normalizeName(kind, name) {
+    return kind === "requirement"
+      ? name.replace(/\[.*$/, "").replace(/[-_.]+/g, "-")
+      : name;
+  }
+
+  // Splits a side into { leading, entries, trailing }; null if any non-blank
+  // line is not a list entry or blank lines separate the entries
+  static parseSide(lines, path) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === "") start++;
+    while (end > start && lines[end - 1].trim() === "") end--;
+
+    const entries = [];
+    for (const line of lines.slice(start, end)) {
+      const entry = line.trim() === "" ? null : LineUnion.parseEntry(line, path);
+      if (!entry) {
+        return null;
+      }
+      entries.push(entry);
+    }
+
+    return {
+      leading: lines.slice(0, start),
+      entries,
+      trailing: lines.slice(end),
+    };
+  }
+
+  // Entries of the same list directly next to the hunk, for the sort check
+  static contextEntries(lines, path, fromEnd) {
+    const entries = [];
+    const ordered = fromEnd ? [...lines].reverse() : lines;
+
+    for (const line of ordered) {
+      const entry = line.trim() === "" ? null : LineUnion.parseEntry(line, path);
+      if (!entry) {
+        break;
+      }
+      entries.push(entry);
+    }
+
+    return fromEnd ? entries.reverse() : entries;
+  }
+
+  static isSorted(entries) {
+    return (
+      entries.length >= 2 &&
+      entries.every(
+        (entry, index) => index === 0 || entries[index - 1].sortKey <= entry.sortKey
+      )
+    );
+  }
+
+  // Parses both sides and works out which entries the union drops. Returns
+  // { current, incoming, deleted (keys) }, or null when the hunk isn't a list
+  // or both sides have the same module or package in different versions.
+  static plan(hunk, path) {
+    const current = LineUnion.parseSide(hunk.current, path);
+    const incoming = LineUnion.parseSide(hunk.incoming, path);
+    if (!current || !incoming || current.entries.length + incoming.entries.length === 0) {
+      return null;
+    }
+
+    // With a base, entries either side deleted stay deleted
+    const base = hunk.base ? LineUnion.parseSide(hunk.base, path) : null;
+    const keys = (side) => new Set(side.entries.map((entry) => entry.key));
+    const currentKeys = keys(current);
+    const incomingKeys = keys(incoming);
+    const deleted = new Set(
+      base
+        ? base.entries
+            .map((entry) => entry.key)
+            .filter((key) => !currentKeys.has(key) || !incomingKeys.has(key))
+        : []
+    );
+
+    // Each name's remaining entries, per side; a name both sides keep must
+    // come with the same entries on both
+    const byName = (side) => {
+      const names = new Map();
+      for (const entry of side.entries) {
+        if (!deleted.has(entry.key)) {
+          names.set(entry.name, [...(names.get(entry.name) || []), entry.key].sort());
+        }
+      }
+      return names;
+    };
+    const currentNames = byName(current);
+    const incomingNames = byName(incoming);
+    for (const [name, entries] of currentNames) {
+      const other = incomingNames.get(name);
+      if (other && other.join("\n") !== entries.join("\n")) {
+        return null;
+      }
+    }
+
+    return { current, incoming, deleted };
+  }
+
+  static isUnionable(hunk, path) {
+    return LineUnion.plan(hunk, path) !== null;
+  }
+
+  // Returns the union's lines, or null when the hunk can't be united
+  static merge(hunk, path) {
+    const plan = LineUnion.plan(hunk, path);
+    if (!plan) {
+      return null;
+    }
+    const { current, incoming, deleted } = plan;
+
+    const seen = new Set();
+    let union = [...current.entries, ...incoming.entries].filter((entry) => {
+      if (seen.has(entry.key) || deleted.has(entry.key)) {
+        return false;
+      }
+      seen.add(entry.key);
+      return true;
+    });
+
+    // Keep the list sorted if it already was, judging by the current side
+    // together with the unchanged lines around the hunk
+    const before = LineUnion.contextEntries(hunk.contextBefore || [], path, true);
+    const after = LineUnion.contextEntries(hunk.contextAfter || [], path, false);
+    const currentList = [...before, ...current.entries, ...after];
+    const incomingList = [...before, ...incoming.entries, ...after];
+    const sorted =
+      currentList.length >= 2
+        ? LineUnion.isSorted(currentList)
+        : LineUnion.isSorted(incomingList);
+    if (sorted) {
+      union = [...union].sort((a, b) =>
+        a.sortKey === b.sortKey ? 0 : a.sortKey < b.sortKey ? -1 : 1
+      );
+    }
+
+    return [
+      ...current.leading,
+      ...LineUnion.fixCommas(union, current, incoming),
+      ...current.trailing,
+    ];
+  }
+
+  // Quoted list items need a comma after every entry but possibly the last
+  static fixCommas(entries, current, incoming) {
+    if (entries.length === 0 || !entries.every((entry) => entry.kind === "list")) {
+      return entries.map((entry) => entry.text);
+    }
+
+    const side = current.entries.length ? current : incoming;
+    const last = side.entries[side.entries.length - 1];
+    const openEnded = /,\s*$/.test(last.text);
+
+    return entries.map((entry, index) => {
+      const bare = entry.text.replace(/\s*,?\s*$/, "");
+      return index < entries.length - 1 || openEnded ? `${bare},` : bare;
+    });
+  }
+}
@@ -0,0 +1,455 @@
+// GitHub Merge Conflict Helper - Options Page
+class OptionsPage {
+  constructor() {
+    this.rules = [];
+    this.enterpriseHost = "";
+    this.init();
+  }
+
+  async init() {
+    const settings = await Settings.load();
+    this.rules = settings.rules;
+    this.renderRules();
+    this.renderKeepBoth({ ...Settings.DEFAULTS.keepBoth, ...settings.keepBoth });
+    this.renderTrivial({ ...Settings.DEFAULTS.trivial, ...settings.trivial });
+    this.renderGuided({ ...Settings.DEFAULTS.guided, ...settings.guided });
+    document.getElementById("api-base-url").value = settings.apiBaseUrl;
+    this.enterpriseHost = settings.enterpriseHost;
+    document.getElementById("enterprise-host").value = settings.enterpriseHost;
+    await this.renderTokens(settings.enterpriseHost);
+    await this.renderRecorded();
+
+    document
+      .getElementById("add-rule")
+      .addEventListener("click", () => this.addRule());
+    document
+      .getElementById("save-rules")
+      .addEventListener("click", () => this.saveRules());
+
+    document
+      .getElementById("save-keep-both")
+      .addEventListener("click", () => this.saveKeepBoth());
+    document
+      .getElementById("save-trivial")
+      .addEventListener("click", () => this.saveTrivial());
+    document
+      .getElementById("save-guided")
+      .addEventListener("click", () => this.saveGuided());
+
+    document
+      .getElementById("save-api")
+      .addEventListener("click", () => this.saveApi());
+    document
+      .getElementById("save-tokens")
+      .addEventListener("click", () => this.saveTokens());
+    document
+      .getElementById("check-tokens")
+      .addEventListener("click", () => this.checkTokens());
+
+    document
+      .getElementById("clear-recorded")
+      .addEventListener("click", () => this.clearRecorded());
+    document
+      .getElementById("recorded-body")
+      .addEventListener("click", (event) => this.onRecordedAction(event));
+
+    const body = document.getElementById("rules-body");
+    body.addEventListener("input", (event) => this.onRuleInput(event));
+    body.addEventListener("change", (event) => this.onRuleInput(event));
+    body.addEventListener("click", (event) => this.onRuleAction(event));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text ?? "";
+    return div.innerHTML;
+  }
+
+  renderRules() {
+    const body = document.getElementById("rules-body");
+
+    if (this.rules.length === 0) {
+      body.innerHTML = `<tr><td colspan="5" class="empty">No rules yet</td></tr>`;
+      return;
+    }
+
+    const strategies = Object.entries(RuleEngine.STRATEGIES);
+    body.innerHTML = this.rules
+      .map(
+        (rule, index) => `
+        <tr data-index="${index}" class="${RuleEngine.validate(rule) ? "invalid" : ""}">
+          <td><input type="checkbox" data-field="enabled" ${
+            rule.enabled !== false ? "checked" : ""
+          }></td>
+          <td><input type="text" data-field="pattern" value="${this.escapeHtml(
+            rule.pattern
+          )}" placeholder="package-lock.json"></td>
+          <td><input type="text" data-field="contentPattern" value="${this.escapeHtml(
+            rule.contentPattern
+          )}" placeholder="^## "></td>
+          <td>
+            <select data-field="strategy">
+              ${strategies
+                .map(
+                  ([value, label]) =>
+                    `<option value="${value}" ${
+                      rule.strategy === value ? "selected" : ""
+                    }>${label}</option>`
+                )
+                .join("")}
+            </select>
+          </td>
+          <td class="row-actions">
+            <button type="button" data-action="up" title="Move up">↑</button>
+            <button type="button" data-action="down" title="Move down">↓</button>
+            <button type="button" data-action="delete" title="Delete">✕</button>
+          </td>
+        </tr>`
+      )
+      .join("");
+  }
+
+  addRule() {
+    this.rules.push({
+      id: RuleEngine.createId(),
+      pattern: "",
+      contentPattern: "",
+      strategy: "incoming",
+      enabled: true,
+    });
+    this.renderRules();
+  }
+
+  onRuleInput(event) {
+    const row = event.target.closest("tr[data-index]");
+    const field = event.target.dataset.field;
+    if (!row || !field) {
+      return;
+    }
+
+    const rule = this.rules[Number(row.dataset.index)];
+    rule[field] =
+      event.target.type === "checkbox" ? event.target.checked : event.target.value;
+    row.classList.toggle("invalid", Boolean(RuleEngine.validate(rule)));
+  }
+
+  onRuleAction(event) {
+    const button = event.target.closest("button[data-action]");
+    const row = event.target.closest("tr[data-index]");
+    if (!button || !row) {
+      return;
+    }
+
+    const index = Number(row.dataset.index);
+    const action = button.dataset.action;
+
+    if (action === "delete") {
+      this.rules.splice(index, 1);
+    } else {
+      const target = action === "up" ? index - 1 : index + 1;
+      if (target < 0 || target >= this.rules.length) {
+        return;
+      }
+      [this.rules[index], this.rules[target]] = [
+        this.rules[target],
+        this.rules[index],
+      ];
+    }
+
+    this.renderRules();
+  }
+
+  async saveRules() {
+    const invalid = this.rules.findIndex((rule) => RuleEngine.validate(rule));
+    if (invalid !== -1) {
+      this.showMessage(
+        "rules-message",
+        `Rule ${invalid + 1}: ${RuleEngine.validate(this.rules[invalid])}`,
+        "error"
+      );
+      return;
+    }
+
+    await Settings.save({ rules: this.rules });
+    this.showMessage("rules-message", "Rules saved", "success");
+  }
+
+  renderKeepBoth(keepBoth) {
+    document.getElementById("keep-both-order").value = keepBoth.order;
+    document.getElementById("keep-both-dedupe").checked = Boolean(keepBoth.dedupe);
+    document.getElementById("keep-both-annotate").checked = Boolean(keepBoth.annotate);
+  }
+
+  async saveKeepBoth() {
+    await Settings.save({
+      keepBoth: {
+        order: document.getElementById("keep-both-order").value,
+        dedupe: document.getElementById("keep-both-dedupe").checked,
+        annotate: document.getElementById("keep-both-annotate").checked,
+      },
+    });
+    this.showMessage("keep-both-message", "Keep Both defaults saved", "success");
+  }
+
+  renderTrivial(trivial) {
+    document.getElementById("trivial-identical").checked = Boolean(trivial.identical);
+    document.getElementById("trivial-auto-apply").checked = Boolean(trivial.autoApply);
+    document.getElementById("trivial-three-way").checked = Boolean(trivial.threeWay);
+    document.getElementById("trivial-recovered-base").checked = Boolean(trivial.recoveredBase);
+    document.getElementById("trivial-whitespace").value = trivial.whitespace;
+    document.getElementById("trivial-empty-side").value = trivial.emptySide;
+  }
+
+  async saveTrivial() {
+    await Settings.save({
+      trivial: {
+        autoApply: document.getElementById("trivial-auto-apply").checked,
+        identical: document.getElementById("trivial-identical").checked,
+        threeWay: document.getElementById("trivial-three-way").checked,
+        recoveredBase: document.getElementById("trivial-recovered-base").checked,
+        whitespace: document.getElementById("trivial-whitespace").value,
+        emptySide: document.getElementById("trivial-empty-side").value,
+      },
+    });
+    this.showMessage("trivial-message", "Trivial conflict policy saved", "success");
+  }
+
+  renderGuided(guided) {
+    document.getElementById("guided-enabled").checked = Boolean(guided.enabled);
+    document.getElementById("guided-confirm-mark-resolved").checked = Boolean(
+      guided.confirmMarkResolved
+    );
+    document.getElementById("guided-confirm-next-file").checked = Boolean(
+      guided.confirmNextFile
+    );
+    document.getElementById("guided-confirm-commit").checked = Boolean(guided.confirmCommit);
+  }
+
+  async saveGuided() {
+    await Settings.save({
+      guided: {
+        enabled: document.getElementById("guided-enabled").checked,
+        confirmMarkResolved: document.getElementById("guided-confirm-mark-resolved").checked,
+        confirmNextFile: document.getElementById("guided-confirm-next-file").checked,
+        confirmCommit: document.getElementById("guided-confirm-commit").checked,
+      },
+    });
+    this.showMessage("guided-message", "Guided mode saved", "success");
+  }
+
+  async saveApi() {
+    const value = document.getElementById("api-base-url").value.trim() || Settings.DEFAULTS.apiBaseUrl;
+    const enterpriseHost = document
+      .getElementById("enterprise-host")
+      .value.trim()
+      .replace(/^https?:\/\//, "")
+      .replace(/\/+$/, "")
+      .toLowerCase();
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      this.showMessage("api-message", "Not a valid URL", "error");
+      return;
+    }
+    if (url.protocol !== "https:") {
+      this.showMessage("api-message", "The URL must start with https://", "error");
+      return;
+    }
+    if (enterpriseHost && !/^[a-z0-9.-]+(:\d+)?$/.test(enterpriseHost)) {
+      this.showMessage("api-message", "The Enterprise host must be a host name", "error");
+      return;
+    }
+    if (enterpriseHost === "github.com") {
+      this.showMessage("api-message", "github.com is supported without an Enterprise host", "error");
+      return;
+    }
+
+    // Nothing is awaited before the prompt, it needs the click's user gesture
+    const previous = this.enterpriseHost;
+    if (enterpriseHost && enterpriseHost !== previous) {
+      const granted = await chrome.permissions.request({
+        origins: [`https://${enterpriseHost}/*`],
+      });
+      if (!granted) {
+        this.showMessage("api-message", `Access to ${enterpriseHost} was not granted`, "error");
+        return;
+      }
+    }
+    try {
+      await this.registerEnterpriseHost(enterpriseHost, previous);
+    } catch (error) {
+      this.showMessage("api-message", `Could not enable ${enterpriseHost}: ${error.message}`, "error");
+      return;
+    }
+
+    const apiBaseUrl = value.replace(/\/+$/, "");
+    await Settings.save({ apiBaseUrl, enterpriseHost });
+    this.enterpriseHost = enterpriseHost;
+    document.getElementById("api-base-url").value = apiBaseUrl;
+    document.getElementById("enterprise-host").value = enterpriseHost;
+    await this.renderTokens(enterpriseHost);
+    this.showMessage("api-message", "API settings saved", "success");
+  }
+
+  // The manifest's content scripts only match github.com; an Enterprise host
+  // gets the same scripts registered at runtime
+  async registerEnterpriseHost(host, previous) {
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const ids = registered
+      .map((script) => script.id)
+      .filter((id) => id.startsWith("enterprise-"));
+    if (ids.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids });
+    }
+    if (previous && previous !== host) {
+      await chrome.permissions.remove({ origins: [`https://${previous}/*`] });
+    }
+    if (!host) {
+      return;
+    }
+
+    const scripts = chrome.runtime.getManifest().content_scripts.map((script, index) => ({
+      id: `enterprise-${index}`,
+      matches: [`https://${host}/*`],
+      js: script.js,
+      ...(script.css ? { css: script.css } : {}),
+      ...(script.world ? { world: script.world } : {}),
+    }));
+    await chrome.scripting.registerContentScripts(scripts);
+  }
+
+  async renderTokens(enterpriseHost) {
+    const tokens = await Settings.loadTokens();
+    document.getElementById("token-github").value = tokens["github.com"] || "";
+    document.getElementById("token-enterprise-option").hidden = !enterpriseHost;
+    document.getElementById("token-enterprise-host").textContent = enterpriseHost;
+    document.getElementById("token-enterprise").value = enterpriseHost
+      ? tokens[enterpriseHost] || ""
+      : "";
+  }
+
+  async saveTokens() {
+    const { enterpriseHost } = await Settings.load();
+    await Settings.saveToken("github.com", document.getElementById("token-github").value.trim());
+    if (enterpriseHost) {
+      await Settings.saveToken(
+        enterpriseHost,
+        document.getElementById("token-enterprise").value.trim()
+      );
+    }
+    this.showMessage("token-message", "Tokens saved", "success");
+  }
+
+  // Signs in with each saved token and reports the account and its rate limit
+  async checkTokens() {
+    const { apiBaseUrl, enterpriseHost } = await Settings.load();
+    const tokens = await Settings.loadTokens();
+    const hosts = [
+      ["github.com", apiBaseUrl || Settings.DEFAULTS.apiBaseUrl],
+      ...(enterpriseHost ? [[enterpriseHost, GitHubApi.enterpriseBaseUrl(enterpriseHost)]] : []),
+    ].filter(([host]) => tokens[host]);
+
+    if (hosts.length === 0) {
+      this.showMessage("token-message", "No tokens saved", "error");
+      return;
+    }
+
+    const results = [];
+    let failed = false;
+    for (const [host, baseUrl] of hosts) {
+      const token = GitHubApi.tokenFor(baseUrl, tokens, enterpriseHost);
+      if (!token) {
+        failed = true;
+        results.push(`${host}: not sent to ${baseUrl}`);
+        continue;
+      }
+      const api = new GitHubApi({ baseUrl, token });
+      try {
+        const user = await api.getAuthenticatedUser();
+        const limit = api.rateLimit
+          ? ` (${api.rateLimit.remaining} of ${api.rateLimit.limit} requests left)`
+          : "";
+        results.push(`${host}: @${user.login}${limit}`);
+      } catch (error) {
+        failed = true;
+        results.push(`${host}: ${error.message}`);
+      }
+    }
+    this.showMessage("token-message", results.join(" · "), failed ? "error" : "success");
+  }
+
+  async renderRecorded() {
+    const body = document.getElementById("recorded-body");
+    const entries = Object.values(await ResolutionMemory.load()).sort(
+      (a, b) => b.lastUsedAt - a.lastUsedAt
+    );
+
+    if (entries.length === 0) {
+      body.innerHTML = `<tr><td colspan="4" class="empty">Nothing recorded yet</td></tr>`;
+      return;
+    }
+
+    const side = (title, lines) => `
+            <div>
+              <strong>${title}</strong>
+              <pre>${lines.length ? this.escapeHtml(lines.join("\n")) : "<em>(empty)</em>"}</pre>
+            </div>`;
+
+    body.innerHTML = entries
+      .map(
+        (entry) => `
+        <tr data-fingerprint="${entry.fingerprint}">
+          <td>
+            <details>
+              <summary>${this.escapeHtml(entry.repo || "unknown repository")} · <code>${this.escapeHtml(
+                entry.file || "unknown file"
+              )}</code></summary>
+              <div class="recorded-sides">
+                ${side("Current", entry.current)}
+                ${side("Incoming", entry.incoming)}
+                ${side("Result", entry.result)}
+              </div>
+            </details>
+          </td>
+          <td>${new Date(entry.recordedAt).toLocaleString()}</td>
+          <td>${entry.uses} time${entry.uses === 1 ? "" : "s"}</td>
+          <td class="row-actions">
+            <button type="button" data-action="delete" title="Delete">✕</button>
+          </td>
+        </tr>`
+      )
+      .join("");
+  }
+
+  async onRecordedAction(event) {
+    const button = event.target.closest("button[data-action='delete']");
+    const row = event.target.closest("tr[data-fingerprint]");
+    if (!button || !row) {
+      return;
+    }
+
+    await ResolutionMemory.remove(row.dataset.fingerprint);
+    await this.renderRecorded();
+    this.showMessage("recorded-message", "Recorded resolution deleted", "success");
+  }
+
+  async clearRecorded() {
+    if (!window.confirm("Delete every recorded resolution?")) {
+      return;
+    }
+
+    await ResolutionMemory.clear();
+    await this.renderRecorded();
+    this.showMessage("recorded-message", "All recorded resolutions deleted", "success");
+  }
+
+  showMessage(id, text, type) {
+    const element = document.getElementById(id);
+    element.textContent = text;
+    element.className = `message ${type}`;
+  }
+}
+
+new OptionsPage();
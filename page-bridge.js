@@ -0,0 +1,308 @@
+// GitHub Merge Conflict Helper - Page Bridge
+// Runs in the page's own JavaScript context so it can reach the editor instances
+// that GitHub keeps on DOM nodes, which the isolated content script cannot see.
+// The content-side counterpart lives in editor-adapters.js.
+(() => {
+  if (window.__mergeHelperBridge) {
+    return;
+  }
+
+  const REQUEST_SOURCE = "merge-helper-content";
+  const RESPONSE_SOURCE = "merge-helper-bridge";
+
+  // Positions are { line, ch } with 1-based lines and 0-based characters
+  const PAGE_ADAPTERS = {
+    codemirror5: {
+      find() {
+        const element = document.querySelector(".CodeMirror");
+        return element && element.CodeMirror ? element.CodeMirror : null;
+      },
+      getValue(cm) {
+        return cm.getValue();
+      },
+      // getValue() joins lines with "\n" unless a separator was configured
+      getLineSeparator(cm) {
+        return cm.getOption("lineSeparator") || null;
+      },
+      setValue(cm, text) {
+        const doc = cm.getDoc();
+        const lastLine = doc.lastLine();
+        doc.replaceRange(
+          text,
+          { line: doc.firstLine(), ch: 0 },
+          { line: lastLine, ch: doc.getLine(lastLine).length },
+          "+merge-helper"
+        );
+        cm.focus();
+      },
+      getSelection(cm) {
+        const from = cm.getCursor("from");
+        const to = cm.getCursor("to");
+        return {
+          from: { line: from.line + 1, ch: from.ch },
+          to: { line: to.line + 1, ch: to.ch },
+          text: cm.getSelection(),
+        };
+      },
+      setSelection(cm, from, to) {
+        cm.setSelection(
+          { line: from.line - 1, ch: from.ch },
+          { line: to.line - 1, ch: to.ch }
+        );
+        cm.focus();
+      },
+      scrollToLine(cm, line) {
+        cm.scrollIntoView({ line: line - 1, ch: 0 }, 100);
+      },
+      watch(cm, notify) {
+        const listener = () => notify(cm.getValue());
+        cm.on("changes", listener);
+        return () => cm.off("changes", listener);
+      },
+    },
+
+    codemirror6: {
+      find() {
+        const content = document.querySelector(".cm-editor .cm-content");
+        const contentView = content && content.cmView;
+        if (!contentView) {
+          return null;
+        }
+        // Newer CodeMirror 6 releases expose the view through the root view
+        return contentView.rootView?.view || contentView.view || null;
+      },
+      getValue(view) {
+        return view.state.doc.toString();
+      },
+      // "\n" is also the default, which says nothing about the file
+      getLineSeparator(view) {
+        const lineBreak = view.state.lineBreak;
+        return lineBreak && lineBreak !== "\n" ? lineBreak : null;
+      },
+      setValue(view, text) {
+        view.dispatch({
+          changes: { from: 0, to: view.state.doc.length, insert: text },
+          userEvent: "input.paste",
+          scrollIntoView: true,
+        });
+        view.focus();
+      },
+      toPosition(view, offset) {
+        const line = view.state.doc.lineAt(offset);
+        return { line: line.number, ch: offset - line.from };
+      },
+      toOffset(view, position) {
+        const doc = view.state.doc;
+        const line = doc.line(Math.min(Math.max(position.line, 1), doc.lines));
+        return Math.min(line.from + position.ch, line.to);
+      },
+      getSelection(view) {
+        const range = view.state.selection.main;
+        return {
+          from: this.toPosition(view, range.from),
+          to: this.toPosition(view, range.to),
+          text: view.state.sliceDoc(range.from, range.to),
+        };
+      },
+      setSelection(view, from, to) {
+        view.dispatch({
+          selection: {
+            anchor: this.toOffset(view, from),
+            head: this.toOffset(view, to),
+          },
+          scrollIntoView: true,
+        });
+        view.focus();
+      },
+      scrollToLine(view, line) {
+        const offset = this.toOffset(view, { line, ch: 0 });
+        const lineBlockAt = view.lineBlockAt || view.visualLineAt;
+        view.scrollDOM.scrollTop = lineBlockAt.call(view, offset).top;
+      },
+      watch(view, notify) {
+        // CodeMirror 6 has no external change event, so compare documents
+        let doc = view.state.doc;
+        const timer = setInterval(() => {
+          if (view.state.doc !== doc) {
+            doc = view.state.doc;
+            notify(doc.toString());
+          }
+        }, 300);
+        return () => clearInterval(timer);
+      },
+    },
+
+    monaco: {
+      find() {
+        const editors = window.monaco?.editor?.getEditors?.() || [];
+        return (
+          editors.find((editor) => {
+            const node = editor.getDomNode();
+            return node && node.offsetParent !== null;
+          }) ||
+          editors[0] ||
+          null
+        );
+      },
+      getValue(editor) {
+        return editor.getValue();
+      },
+      // Monaco keeps the line ending the file was loaded with
+      getLineSeparator(editor) {
+        return editor.getModel()?.getEOL() || null;
+      },
+      setValue(editor, text) {
+        const model = editor.getModel();
+        editor.pushUndoStop();
+        editor.executeEdits("merge-helper", [
+          { range: model.getFullModelRange(), text, forceMoveMarkers: true },
+        ]);
+        editor.pushUndoStop();
+        editor.focus();
+      },
+      getSelection(editor) {
+        const selection = editor.getSelection();
+        return {
+          from: {
+            line: selection.startLineNumber,
+            ch: selection.startColumn - 1,
+          },
+          to: { line: selection.endLineNumber, ch: selection.endColumn - 1 },
+          text: editor.getModel().getValueInRange(selection),
+        };
+      },
+      setSelection(editor, from, to) {
+        editor.setSelection({
+          startLineNumber: from.line,
+          startColumn: from.ch + 1,
+          endLineNumber: to.line,
+          endColumn: to.ch + 1,
+        });
+        editor.revealLineInCenter(from.line);
+        editor.focus();
+      },
+      scrollToLine(editor, line) {
+        editor.revealLineInCenter(line);
+      },
+      watch(editor, notify) {
+        const subscription = editor.onDidChangeModelContent(() =>
+          notify(editor.getValue())
+        );
+        return () => subscription.dispose();
+      },
+    },
+  };
+
+  class PageBridge {
+    constructor() {
+      this.stopWatching = null;
+      this.handlers = {
+        probe: () => this.probe(),
+        watch: (params) => this.watch(params.adapter),
+        unwatch: () => this.unwatch(),
+        getValue: (params) => this.withEditor(params, "getValue"),
+        setValue: (params) => this.withEditor(params, "setValue", params.text),
+        getSelection: (params) => this.withEditor(params, "getSelection"),
+        setSelection: (params) =>
+          this.withEditor(params, "setSelection", params.from, params.to),
+        scrollToLine: (params) =>
+          this.withEditor(params, "scrollToLine", params.line),
+      };
+
+      window.addEventListener("message", (event) => this.onMessage(event));
+    }
+
+    onMessage(event) {
+      const message = event.data;
+      if (
+        event.source !== window ||
+        !message ||
+        message.source !== REQUEST_SOURCE
+      ) {
+        return;
+      }
+
+      const handler = this.handlers[message.method];
+      const response = { source: RESPONSE_SOURCE, id: message.id };
+
+      try {
+        if (!handler) {
+          throw new Error(`Unknown bridge method: ${message.method}`);
+        }
+        response.result = handler(message.params || {});
+      } catch (error) {
+        response.error = error.message;
+      }
+
+      window.postMessage(response, "*");
+    }
+
+    getAdapter(name) {
+      const adapter = PAGE_ADAPTERS[name];
+      if (!adapter) {
+        throw new Error(`Unknown editor adapter: ${name}`);
+      }
+
+      const instance = adapter.find();
+      if (!instance) {
+        throw new Error(`No ${name} editor found`);
+      }
+
+      return { adapter, instance };
+    }
+
+    withEditor(params, method, ...args) {
+      const { adapter, instance } = this.getAdapter(params.adapter);
+      const result = adapter[method](instance, ...args);
+      return result === undefined ? true : result;
+    }
+
+    probe() {
+      return Object.keys(PAGE_ADAPTERS).filter((name) => {
+        try {
+          return PAGE_ADAPTERS[name].find() !== null;
+        } catch (error) {
+          return false;
+        }
+      });
+    }
+
+    watch(name) {
+      const { adapter, instance } = this.getAdapter(name);
+      this.unwatch();
+
+      // Debounce so fast typing doesn't flood the content script
+      let timer = null;
+      const notify = (value) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          window.postMessage(
+            { source: RESPONSE_SOURCE, event: "change", adapter: name, value },
+            "*"
+          );
+        }, 150);
+      };
+
+      const stop = adapter.watch(instance, notify);
+      this.stopWatching = () => {
+        clearTimeout(timer);
+        stop();
+      };
+
+      return {
+        value: adapter.getValue(instance),
+        lineSeparator: adapter.getLineSeparator(instance),
+      };
+    }
+
+    unwatch() {
+      if (this.stopWatching) {
+        this.stopWatching();
+        this.stopWatching = null;
+      }
+      return true;
+    }
+  }
+
+  window.__mergeHelperBridge = new PageBridge();
+})();
@@ -0,0 +1,123 @@
+// GitHub Merge Conflict Helper - Repository Policy
+// A team policy committed as .github/merge-helper.yml (or .yaml/.json) on the
+// pull request's base branch:
+//
+//   rules:                    # same shape as personal rules, evaluated first
+//     - pattern: package-lock.json
+//       strategy: incoming
+//   forbid:                   # strategies that may not be used on a path
+//     - pattern: "db/migrations/**"
+//       strategies: [both]
+//       reason: Migrations must never be concatenated
+//   checks:                   # must pass before a result is applied or copied
+//     - no-conflict-markers
+//     - check: valid-json
+//       pattern: "**/*.json"
+class RepoPolicy {
+  static get FILENAMES() {
+    return [
+      ".github/merge-helper.yml",
+      ".github/merge-helper.yaml",
+      ".github/merge-helper.json",
+    ];
+  }
+
+  static get CHECKS() {
+    return {
+      "no-conflict-markers": {
+        label: "No conflict markers left",
+        run: (content, { markerSize }) =>
+          ConflictParser.findMarkers(content, { markerSize }).length === 0,
+      },
+      "valid-json": {
+        label: "Valid JSON",
+        run: (content) => {
+          try {
+            JSON.parse(content);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+      },
+      "final-newline": {
+        label: "Ends with a newline",
+        run: (content) => content === "" || content.endsWith("\n"),
+      },
+    };
+  }
+
+  constructor(raw, { source, ref }) {
+    this.source = source;
+    this.ref = ref;
+    this.raw = raw || {};
+
+    const rules = Array.isArray(this.raw.rules) ? this.raw.rules : [];
+    this.rules = rules.map((rule, index) => ({
+      ...rule,
+      id: `policy-${index + 1}`,
+      enabled: true,
+    }));
+    this.engine = new RuleEngine(this.rules);
+
+    this.forbidden = (Array.isArray(this.raw.forbid) ? this.raw.forbid : [])
+      .map((entry) => ({
+        pattern: entry.pattern || "**",
+        pathRegExp: RuleEngine.globToRegExp(entry.pattern || "**"),
+        strategies: [].concat(entry.strategies || entry.strategy || []),
+        reason: entry.reason || null,
+      }))
+      .filter((entry) => entry.pathRegExp);
+
+    this.checks = (Array.isArray(this.raw.checks) ? this.raw.checks : [])
+      .map((check) => (typeof check === "string" ? { check } : check))
+      .filter((check) => RepoPolicy.CHECKS[check.check])
+      .map((check) => ({
+        ...check,
+        pathRegExp: check.pattern ? RuleEngine.globToRegExp(check.pattern) : null,
+      }));
+  }
+
+  // Fetches and parses the policy from the PR's base branch; null if there is none
+  static async load(api, { owner, repo, pull }) {
+    const pullRequest = await api.getPullRequest(owner, repo, pull);
+    const ref = pullRequest.base.ref;
+
+    for (const filename of RepoPolicy.FILENAMES) {
+      const text = await api.getFileContent(owner, repo, filename, ref);
+      if (text === null) {
+        continue;
+      }
+
+      const raw = filename.endsWith(".json") ? JSON.parse(text) : YamlLite.parse(text);
+      return { raw, source: filename, ref };
+    }
+
+    return null;
+  }
+
+  // Returns { strategy: reason } for the strategies forbidden on a path
+  forbiddenStrategies(path) {
+    const result = {};
+
+    for (const entry of this.forbidden) {
+      if (path && entry.pathRegExp.test(path)) {
+        entry.strategies.forEach((strategy) => {
+          result[strategy] =
+            entry.reason || `Forbidden by repo policy for ${entry.pattern}`;
+        });
+      }
+    }
+
+    return result;
+  }
+
+  // Returns the labels of the required checks that fail for this content.
+  // markerSize: the conflicted file's, when known.
+  runChecks(path, content, { markerSize } = {}) {
+    return this.checks
+      .filter((check) => !check.pathRegExp || (path && check.pathRegExp.test(path)))
+      .filter((check) => !RepoPolicy.CHECKS[check.check].run(content, { markerSize }))
+      .map((check) => RepoPolicy.CHECKS[check.check].label);
+  }
+}
@@ -1,9 +1,17 @@
-// Check if we're on a GitHub page with conflicts
-chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+// Check if we're on a GitHub (or the configured Enterprise) page with conflicts
+chrome.tabs.query({ active: true, currentWindow: true }, async function (tabs) {
   const currentTab = tabs[0];
   const statusDiv = document.getElementById("status");
+  const { enterpriseHost } = await Settings.load();
+  const hosts = ["github.com", ...(enterpriseHost ? [enterpriseHost] : [])];
+  let host = "";
+  try {
+    host = new URL(currentTab.url).hostname;
+  } catch (error) {
+    // No URL for this tab
+  }
 
-  if (currentTab.url.includes("github.com")) {
+  if (hosts.includes(host)) {
     // We're on GitHub, but need to check if conflicts are present
     chrome.tabs.sendMessage(
       currentTab.id,
@@ -16,6 +24,9 @@ chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
         } else if (response && response.hasConflicts) {
           statusDiv.className = "status active";
           statusDiv.textContent = `Active - ${response.conflictCount} conflicts detected`;
+          if (response.editor) {
+            statusDiv.textContent += ` (${response.editor})`;
+          }
         } else {
           statusDiv.className = "status inactive";
           statusDiv.textContent = "No merge conflicts detected on this page";
@@ -27,3 +38,8 @@ chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
     statusDiv.textContent = "Please navigate to GitHub.com";
   }
 });
+
+document.getElementById("open-settings").addEventListener("click", (event) => {
+  event.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
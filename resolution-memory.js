@@ -0,0 +1,139 @@
+// GitHub Merge Conflict Helper - Resolution Memory
+// Records how hunks were resolved, like git's rerere. Each entry is keyed by a
+// SHA-256 fingerprint of the hunk's normalized current and incoming text, so
+// the same conflict showing up again in a later rebase or PR can be resolved
+// the same way. Shared by the content script and the options page; entries
+// live in chrome.storage.local.
+class ResolutionMemory {
+  static get STORAGE_KEY() {
+    return "resolutionMemory";
+  }
+
+  // The least recently used entries are dropped beyond this
+  static get MAX_ENTRIES() {
+    return 500;
+  }
+
+  // Hunks larger than this (current + incoming + result) are not recorded
+  static get MAX_ENTRY_LENGTH() {
+    return 20000;
+  }
+
+  // Trailing whitespace and surrounding blank lines don't change the conflict
+  static normalize(lines) {
+    return lines
+      .map((line) => line.replace(/\s+$/, ""))
+      .join("\n")
+      .replace(/^\n+|\n+$/g, "");
+  }
+
+  static async fingerprint(hunk) {
+    const text = `${ResolutionMemory.normalize(hunk.current)}\u0000${ResolutionMemory.normalize(
+      hunk.incoming
+    )}`;
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  // Returns { [fingerprint]: entry }
+  static async load() {
+    try {
+      const stored = await chrome.storage.local.get({ [ResolutionMemory.STORAGE_KEY]: {} });
+      return stored[ResolutionMemory.STORAGE_KEY] || {};
+    } catch (error) {
+      // Storage can be unavailable after the extension was reloaded
+      return {};
+    }
+  }
+
+  static async save(entries) {
+    const kept = Object.values(entries)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .slice(0, ResolutionMemory.MAX_ENTRIES);
+
+    await chrome.storage.local.set({
+      [ResolutionMemory.STORAGE_KEY]: Object.fromEntries(
+        kept.map((entry) => [entry.fingerprint, entry])
+      ),
+    });
+  }
+
+  // records: [{ hunk, result (lines) }]; context: { repo, file }
+  static async record(records, { repo = null, file = null } = {}) {
+    const size = ({ hunk, result }) =>
+      [...hunk.current, ...hunk.incoming, ...result].reduce(
+        (total, line) => total + line.length,
+        0
+      );
+    const recordable = records.filter(
+      (record) => size(record) <= ResolutionMemory.MAX_ENTRY_LENGTH
+    );
+    if (recordable.length === 0) {
+      return 0;
+    }
+
+    const entries = await ResolutionMemory.load();
+    const now = Date.now();
+
+    for (const { hunk, result } of recordable) {
+      const fingerprint = await ResolutionMemory.fingerprint(hunk);
+      const previous = entries[fingerprint];
+      entries[fingerprint] = {
+        fingerprint,
+        repo,
+        file,
+        current: hunk.current,
+        incoming: hunk.incoming,
+        result,
+        recordedAt: previous ? previous.recordedAt : now,
+        lastUsedAt: now,
+        uses: previous ? previous.uses : 0,
+      };
+    }
+
+    await ResolutionMemory.save(entries);
+    return recordable.length;
+  }
+
+  // Returns [{ hunk, entry }] for the hunks that have a recorded resolution
+  static async lookup(hunks) {
+    const entries = await ResolutionMemory.load();
+    if (Object.keys(entries).length === 0) {
+      return [];
+    }
+
+    const matches = [];
+    for (const hunk of hunks) {
+      const entry = entries[await ResolutionMemory.fingerprint(hunk)];
+      if (entry) {
+        matches.push({ hunk, entry });
+      }
+    }
+    return matches;
+  }
+
+  static async markUsed(fingerprints) {
+    const entries = await ResolutionMemory.load();
+    const now = Date.now();
+
+    for (const fingerprint of fingerprints) {
+      if (entries[fingerprint]) {
+        entries[fingerprint].uses++;
+        entries[fingerprint].lastUsedAt = now;
+      }
+    }
+    await ResolutionMemory.save(entries);
+  }
+
+  static async remove(fingerprint) {
+    const entries = await ResolutionMemory.load();
+    delete entries[fingerprint];
+    await ResolutionMemory.save(entries);
+  }
+
+  static async clear() {
+    await chrome.storage.local.remove(ResolutionMemory.STORAGE_KEY);
+  }
+}
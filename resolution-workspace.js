@@ -0,0 +1,165 @@
+// GitHub Merge Conflict Helper - Resolution Workspace
+// An editable buffer for the resolved file, seeded from a strategy. Conflict
+// markers left in the buffer are listed with their line numbers as you type,
+// and Apply/Copy stay disabled until none are left.
+class ResolutionWorkspace {
+  // seeds: [{ value, label, text: () => string }]; the first one seeds the
+  // buffer. markerSize: the conflicted file's, when known.
+  constructor(element, { seeds, onApply, onCopy, markerSize }) {
+    this.element = element;
+    this.seeds = seeds;
+    this.markerSize = markerSize;
+    this.onApply = onApply;
+    this.onCopy = onCopy;
+    this.dirty = false;
+    this.markers = [];
+    this.lineCount = 0;
+    this.validateTimer = null;
+
+    element.classList.add("merge-helper-workspace");
+    element.innerHTML = `
+            <div class="merge-helper-workspace-toolbar">
+                <label>
+                    Start from
+                    <select class="merge-helper-workspace-seed">
+                        ${seeds
+                          .map(
+                            (seed) =>
+                              `<option value="${seed.value}">${ResolutionWorkspace.escape(
+                                seed.label
+                              )}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </label>
+                <span class="merge-helper-workspace-state"></span>
+                <button type="button" class="merge-helper-workspace-apply">Apply to editor</button>
+                <button type="button" class="merge-helper-workspace-copy">Copy</button>
+            </div>
+            <div class="merge-helper-workspace-editor">
+                <pre class="merge-helper-workspace-gutter" aria-hidden="true"></pre>
+                <textarea class="merge-helper-workspace-text" spellcheck="false" wrap="off"></textarea>
+            </div>
+            <ul class="merge-helper-workspace-issues"></ul>
+        `;
+
+    this.select = element.querySelector(".merge-helper-workspace-seed");
+    this.textarea = element.querySelector(".merge-helper-workspace-text");
+    this.gutter = element.querySelector(".merge-helper-workspace-gutter");
+    this.state = element.querySelector(".merge-helper-workspace-state");
+    this.applyButton = element.querySelector(".merge-helper-workspace-apply");
+    this.copyButton = element.querySelector(".merge-helper-workspace-copy");
+    this.issues = element.querySelector(".merge-helper-workspace-issues");
+
+    this.select.addEventListener("change", () => this.seed(this.select.value));
+    this.textarea.addEventListener("input", () => {
+      this.dirty = true;
+      clearTimeout(this.validateTimer);
+      this.validateTimer = setTimeout(() => this.validate(), 150);
+    });
+    this.textarea.addEventListener("scroll", () => {
+      this.gutter.scrollTop = this.textarea.scrollTop;
+    });
+    this.issues.addEventListener("click", (event) => {
+      const issue = event.target.closest("[data-line]");
+      if (issue) {
+        this.jumpToLine(Number(issue.dataset.line));
+      }
+    });
+    this.applyButton.addEventListener("click", () => this.onApply(this.getText()));
+    this.copyButton.addEventListener("click", () => this.onCopy(this.getText()));
+
+    if (seeds.length > 0) {
+      this.seed(seeds[0].value, { force: true });
+    }
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  getText() {
+    return this.textarea.value;
+  }
+
+  // Replaces the buffer with a strategy's result, asking before dropping edits
+  seed(value, { force = false } = {}) {
+    const seed = this.seeds.find((candidate) => candidate.value === value);
+    if (!seed) {
+      return;
+    }
+
+    if (!force && this.dirty && !window.confirm("Replace your edits with this strategy's result?")) {
+      this.select.value = this.seededWith;
+      return;
+    }
+
+    this.seededWith = value;
+    this.select.value = value;
+    this.textarea.value = seed.text();
+    this.dirty = false;
+    this.validate();
+  }
+
+  validate() {
+    clearTimeout(this.validateTimer);
+    const text = this.getText();
+    const markers = ConflictParser.findMarkers(text, { markerSize: this.markerSize });
+    const lineCount = text.split("\n").length;
+    const markerLines = markers.map((marker) => marker.line).join(",");
+
+    // The gutter only changes with the line count or the flagged lines
+    if (lineCount !== this.lineCount || markerLines !== this.markerLines) {
+      const flagged = new Set(markers.map((marker) => marker.line));
+      const numbers = [];
+      for (let line = 1; line <= lineCount; line++) {
+        numbers.push(
+          flagged.has(line)
+            ? `<span class="merge-helper-workspace-flag">${line}</span>`
+            : String(line)
+        );
+      }
+      this.gutter.innerHTML = numbers.join("\n");
+      this.gutter.style.width = `${String(lineCount).length + 2}ch`;
+      this.lineCount = lineCount;
+      this.markerLines = markerLines;
+    }
+
+    this.markers = markers;
+    const clean = markers.length === 0;
+    this.applyButton.disabled = !clean;
+    this.copyButton.disabled = !clean;
+    this.state.className = `merge-helper-workspace-state ${clean ? "clean" : "dirty"}`;
+    this.state.textContent = clean
+      ? "✓ No conflict markers"
+      : `⚠ ${markers.length} conflict marker${markers.length === 1 ? "" : "s"} left`;
+
+    this.issues.hidden = clean;
+    this.issues.innerHTML = markers
+      .map(
+        (marker) => `<li data-line="${marker.line}">Line ${marker.line}: <code>${ResolutionWorkspace.escape(
+          marker.text
+        )}</code></li>`
+      )
+      .join("");
+  }
+
+  jumpToLine(line) {
+    const lines = this.getText().split("\n");
+    const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0);
+
+    this.textarea.focus();
+    this.textarea.setSelectionRange(start, start + lines[line - 1].length);
+    const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 18;
+    this.textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  }
+
+  destroy() {
+    clearTimeout(this.validateTimer);
+    this.element.classList.remove("merge-helper-workspace");
+  }
+}
@@ -0,0 +1,179 @@
+// GitHub Merge Conflict Helper - Review View
+// Renders every hunk as side-by-side columns (current, base, incoming and the
+// proposed result) with word-level changes highlighted and each result line
+// tagged with the side it came from.
+class ReviewView {
+  // Word diffs are skipped above this many tokens per side
+  static get MAX_TOKENS() {
+    return 4000;
+  }
+
+  static get ORIGINS() {
+    return {
+      common: { mark: "=", title: "On both sides" },
+      current: { mark: "C", title: "From current" },
+      incoming: { mark: "I", title: "From incoming" },
+      base: { mark: "B", title: "From base" },
+      edited: { mark: "✎", title: "Not on any side (edited)" },
+    };
+  }
+
+  constructor({ formatLabel = (label) => label } = {}) {
+    this.formatLabel = formatLabel;
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Words, runs of whitespace, single punctuation characters and newlines
+  static tokenize(lines) {
+    return lines.join("\n").match(/\n|[^\S\n]+|\w+|[^\w\s]/g) || [];
+  }
+
+  // Returns the two sides as HTML lines, with the words that differ marked
+  static wordDiff(aLines, bLines) {
+    const a = ReviewView.tokenize(aLines);
+    const b = ReviewView.tokenize(bLines);
+    const plain = (lines) => lines.map((line) => ReviewView.escape(line));
+
+    if (a.length > ReviewView.MAX_TOKENS || b.length > ReviewView.MAX_TOKENS) {
+      return { a: plain(aLines), b: plain(bLines) };
+    }
+
+    const sides = { a: [""], b: [""] };
+    const append = (side, value, changed) => {
+      if (value === "\n") {
+        sides[side].push("");
+        return;
+      }
+      const html = ReviewView.escape(value);
+      sides[side][sides[side].length - 1] += changed
+        ? `<mark class="merge-helper-word-${side === "a" ? "remove" : "add"}">${html}</mark>`
+        : html;
+    };
+
+    for (const op of TextDiff.diff(a, b)) {
+      if (op.type !== "add") {
+        append("a", op.value, op.type === "remove" && op.value.trim() !== "");
+      }
+      if (op.type !== "remove") {
+        append("b", op.value, op.type === "add" && op.value.trim() !== "");
+      }
+    }
+
+    // Adjacent changed tokens read better as one highlight
+    const join = (lines) =>
+      lines.map((line) => line.replace(/<\/mark><mark class="merge-helper-word-\w+">/g, ""));
+
+    return {
+      a: aLines.length ? join(sides.a) : [],
+      b: bLines.length ? join(sides.b) : [],
+    };
+  }
+
+  // Tags each result line with the side it came from
+  static origins(hunk, lines) {
+    const current = new Set(hunk.current);
+    const incoming = new Set(hunk.incoming);
+    const base = new Set(hunk.base || []);
+
+    return lines.map((line) => {
+      if (current.has(line) && incoming.has(line)) return "common";
+      if (current.has(line)) return "current";
+      if (incoming.has(line)) return "incoming";
+      if (base.has(line)) return "base";
+      return "edited";
+    });
+  }
+
+  // parsed: parseConflicts() output; resolve(hunk) returns the hunk's result
+  // lines or null while it is undecided
+  render(parsed, resolve) {
+    return parsed.segments
+      .map((segment) =>
+        segment.type === "text"
+          ? this.renderText(segment.lines)
+          : this.renderHunk(segment.hunk, resolve(segment.hunk))
+      )
+      .join("");
+  }
+
+  renderText(lines) {
+    return `<div class="merge-helper-review-gap">… ${lines.length} unchanged line${
+      lines.length === 1 ? "" : "s"
+    }</div>`;
+  }
+
+  renderHunk(hunk, result) {
+    const hasBase = hunk.base !== null;
+    // With a base, each side is compared to it; otherwise to each other
+    const currentDiff = ReviewView.wordDiff(hasBase ? hunk.base : hunk.incoming, hunk.current);
+    const incomingDiff = ReviewView.wordDiff(hasBase ? hunk.base : hunk.current, hunk.incoming);
+
+    const columns = [
+      this.renderColumn("Current", hunk.currentLabel, currentDiff.b),
+      ...(hasBase
+        ? [this.renderColumn("Base", hunk.baseLabel, hunk.base.map(ReviewView.escape))]
+        : []),
+      this.renderColumn("Incoming", hunk.incomingLabel, incomingDiff.b),
+      this.renderResult(hunk, result),
+    ];
+
+    return `
+            <div class="merge-helper-review-hunk">
+                <div class="merge-helper-review-title">
+                    Conflict ${hunk.index + 1} · lines ${hunk.startLine}–${hunk.endLine}
+                </div>
+                <div class="merge-helper-review-columns" style="grid-template-columns: repeat(${
+                  columns.length
+                }, minmax(0, 1fr));">${columns.join("")}</div>
+            </div>
+        `;
+  }
+
+  renderColumn(title, label, htmlLines) {
+    const heading = label
+      ? `${title} (${ReviewView.escape(this.formatLabel(label))})`
+      : title;
+
+    return `
+            <div class="merge-helper-review-column">
+                <div class="merge-helper-hunk-side-title">${heading}</div>
+                <pre>${htmlLines.length ? htmlLines.join("\n") : "<em>(empty)</em>"}</pre>
+            </div>
+        `;
+  }
+
+  renderResult(hunk, result) {
+    if (result === null) {
+      return `
+            <div class="merge-helper-review-column result unresolved">
+                <div class="merge-helper-hunk-side-title">Result</div>
+                <pre><em>Undecided - keeps its conflict markers</em></pre>
+            </div>
+        `;
+    }
+
+    const origins = ReviewView.origins(hunk, result);
+    const lines = result.map((line, index) => {
+      const origin = ReviewView.ORIGINS[origins[index]];
+      return `<span class="merge-helper-review-line origin-${origins[index]}" title="${
+        origin.title
+      }"><span class="merge-helper-review-origin">${origin.mark}</span>${ReviewView.escape(
+        line
+      )}</span>`;
+    });
+
+    return `
+            <div class="merge-helper-review-column result">
+                <div class="merge-helper-hunk-side-title">Result</div>
+                <pre>${lines.length ? lines.join("\n") : "<em>(empty)</em>"}</pre>
+            </div>
+        `;
+  }
+}
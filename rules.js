@@ -0,0 +1,135 @@
+// GitHub Merge Conflict Helper - Resolution Rules
+// An ordered list of { id, pattern, contentPattern, strategy, enabled } rules.
+// Each hunk gets the first enabled rule whose glob matches the file path and,
+// if set, whose content regex matches the hunk's text.
+class RuleEngine {
+  static get STRATEGIES() {
+    return {
+      current: "Accept current",
+      incoming: "Accept incoming",
+      both: "Keep both",
+      base: "Accept base",
+      union: "Union (imports and lists)",
+      json: "Structured JSON merge",
+      yaml: "Structured YAML merge",
+    };
+  }
+
+  constructor(rules = []) {
+    this.rules = rules
+      .filter((rule) => rule && rule.enabled !== false && rule.pattern)
+      .map((rule) => ({
+        ...rule,
+        pathRegExp: RuleEngine.globToRegExp(rule.pattern),
+        contentRegExp: RuleEngine.toRegExp(rule.contentPattern),
+      }))
+      .filter((rule) => rule.pathRegExp);
+  }
+
+  static createId() {
+    return `rule-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 6)}`;
+  }
+
+  // Glob syntax: ** (any path), * (within a segment), ? (one character) and
+  // {a,b} alternatives. Patterns without a slash match the file name in any
+  // directory, like .gitignore.
+  static globToRegExp(glob) {
+    if (!glob || typeof glob !== "string") {
+      return null;
+    }
+
+    let pattern = glob.trim().replace(/^\.?\//, "");
+    const anchored = pattern.includes("/");
+    let source = "";
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === "*" && pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else if (char === "*") {
+        source += "[^/]*";
+      } else if (char === "?") {
+        source += "[^/]";
+      } else if (char === "{") {
+        const close = pattern.indexOf("}", i);
+        if (close === -1) {
+          source += "\\{";
+        } else {
+          const options = pattern.slice(i + 1, close).split(",");
+          source += `(?:${options.map((option) => RuleEngine.escape(option)).join("|")})`;
+          i = close;
+        }
+      } else {
+        source += RuleEngine.escape(char);
+      }
+    }
+
+    try {
+      return new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  static toRegExp(source) {
+    if (!source) {
+      return null;
+    }
+
+    try {
+      return new RegExp(source, "m");
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Returns an error message for an invalid rule, or null
+  static validate(rule) {
+    if (!rule.pattern || !RuleEngine.globToRegExp(rule.pattern)) {
+      return "Invalid file pattern";
+    }
+    if (rule.contentPattern && !RuleEngine.toRegExp(rule.contentPattern)) {
+      return "Invalid content regex";
+    }
+    if (!RuleEngine.STRATEGIES[rule.strategy]) {
+      return "Unknown strategy";
+    }
+    return null;
+  }
+
+  matchesPath(rule, path) {
+    return Boolean(path) && rule.pathRegExp.test(path);
+  }
+
+  matchesHunk(rule, hunk) {
+    if (!rule.contentRegExp) {
+      return true;
+    }
+
+    const text = [...hunk.current, ...hunk.incoming].join("\n");
+    return rule.contentRegExp.test(text);
+  }
+
+  // Returns, for every hunk, the first matching rule or null
+  evaluate(path, hunks) {
+    const pathRules = this.rules.filter((rule) => this.matchesPath(rule, path));
+
+    return hunks.map(
+      (hunk) => pathRules.find((rule) => this.matchesHunk(rule, hunk)) || null
+    );
+  }
+}
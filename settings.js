@@ -0,0 +1,97 @@
+// GitHub Merge Conflict Helper - Settings
+// Shared by the content script and the options page. Preferences live in
+// chrome.storage.sync so they follow the user across browsers; API tokens
+// stay in chrome.storage.local and never leave the machine.
+class Settings {
+  static get DEFAULTS() {
+    return {
+      // Ordered resolution rules, see rules.js
+      rules: [],
+      // Keep Both: "current-first" | "incoming-first", drop incoming lines
+      // that current already has, wrap each side in "from <branch>" comments
+      keepBoth: { order: "current-first", dedupe: false, annotate: false },
+      // Trivial hunks resolved before any button is pressed, see hunk-classifier.js.
+      // `recoveredBase` lets `threeWay` use bases recovered from the merge-base
+      // file, which can misalign where lines repeat; otherwise they only suggest.
+      // `autoApply` writes a file into the editor once rules and this policy
+      // decided all of its hunks, without a click.
+      trivial: {
+        autoApply: false,
+        identical: true,
+        threeWay: true,
+        recoveredBase: false,
+        whitespace: "current",
+        emptySide: "off",
+      },
+      // After a resolution is applied: check for markers, mark the file as
+      // resolved, open the next one and finally go to "Commit merge"; each
+      // step asks first unless its confirm flag is off
+      guided: {
+        enabled: false,
+        confirmMarkResolved: true,
+        confirmNextFile: true,
+        confirmCommit: true,
+      },
+      // REST API root; a local mock server can stand in for GitHub
+      apiBaseUrl: "https://api.github.com",
+      // GitHub Enterprise Server host name (e.g. "github.example.com"), or ""
+      enterpriseHost: "",
+    };
+  }
+
+  static get TOKENS_KEY() {
+    return "apiTokens";
+  }
+
+  static async load() {
+    try {
+      return await chrome.storage.sync.get(Settings.DEFAULTS);
+    } catch (error) {
+      // Storage can be unavailable after the extension was reloaded
+      return Settings.DEFAULTS;
+    }
+  }
+
+  static async save(values) {
+    await chrome.storage.sync.set(values);
+  }
+
+  // Returns { [host]: token }, e.g. { "github.com": "github_pat_..." }
+  static async loadTokens() {
+    try {
+      const stored = await chrome.storage.local.get({ [Settings.TOKENS_KEY]: {} });
+      return stored[Settings.TOKENS_KEY] || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // An empty token removes the host's token
+  static async saveToken(host, token) {
+    const tokens = await Settings.loadTokens();
+    if (token) {
+      tokens[host] = token;
+    } else {
+      delete tokens[host];
+    }
+    await chrome.storage.local.set({ [Settings.TOKENS_KEY]: tokens });
+  }
+
+  // Calls listener(changes) with { key: newValue } for every sync change
+  static onChange(listener) {
+    const wrapped = (changes, area) => {
+      if (area !== "sync") {
+        return;
+      }
+
+      const values = {};
+      for (const [key, change] of Object.entries(changes)) {
+        values[key] = change.newValue;
+      }
+      listener(values);
+    };
+
+    chrome.storage.onChanged.addListener(wrapped);
+    return () => chrome.storage.onChanged.removeListener(wrapped);
+  }
+}
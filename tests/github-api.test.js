@@ -0,0 +1,158 @@
+// GitHub Merge Conflict Helper - GitHubApi request layer tests
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, createMockFetch } = require("./mock-fetch");
+
+const setup = (responses, options = {}) => {
+  const sandbox = loadScripts(["github-api.js"]);
+  const fetch = createMockFetch(responses);
+  const api = new sandbox.GitHubApi({
+    baseUrl: "https://api.example.test",
+    fetchImpl: fetch,
+    ...options,
+  });
+  return { sandbox, fetch, api };
+};
+
+const rateLimitHeaders = (remaining, reset) => ({
+  "X-RateLimit-Limit": "60",
+  "X-RateLimit-Remaining": String(remaining),
+  "X-RateLimit-Reset": String(reset),
+});
+
+test("sends the token and the JSON media type", async () => {
+  const { fetch, api } = setup([{ body: { login: "octocat" } }], { token: "secret" });
+
+  assert.deepEqual(await api.getAuthenticatedUser(), { login: "octocat" });
+  assert.equal(fetch.calls[0].url, "https://api.example.test/user");
+  assert.equal(fetch.calls[0].headers.Authorization, "Bearer secret");
+  assert.equal(fetch.calls[0].headers.Accept, "application/vnd.github+json");
+});
+
+test("revalidates cached responses by ETag and reuses them on 304", async () => {
+  const { fetch, api } = setup([
+    { body: { number: 1, title: "First" }, headers: { ETag: '"v1"' } },
+    { status: 304 },
+  ]);
+
+  const first = await api.getPullRequest("o", "r", 1);
+  const second = await api.getPullRequest("o", "r", 1);
+
+  assert.deepEqual(second, first);
+  assert.equal(fetch.calls[0].headers["If-None-Match"], undefined);
+  assert.equal(fetch.calls[1].headers["If-None-Match"], '"v1"');
+});
+
+test("replaces a cached response when the resource changed", async () => {
+  const { fetch, api } = setup([
+    { body: { title: "Old" }, headers: { ETag: '"v1"' } },
+    { body: { title: "New" }, headers: { ETag: '"v2"' } },
+    { status: 304 },
+  ]);
+
+  await api.getPullRequest("o", "r", 1);
+  assert.equal((await api.getPullRequest("o", "r", 1)).title, "New");
+  assert.equal((await api.getPullRequest("o", "r", 1)).title, "New");
+  assert.equal(fetch.calls[2].headers["If-None-Match"], '"v2"');
+});
+
+test("retries server errors and network failures with a backoff", async () => {
+  const { sandbox, fetch, api } = setup([
+    { status: 502 },
+    new Error("connection reset"),
+    { body: { login: "octocat" } },
+  ]);
+
+  assert.equal((await api.getAuthenticatedUser()).login, "octocat");
+  assert.equal(fetch.calls.length, 3);
+  assert.deepEqual(sandbox.delays, [1000, 2000]);
+});
+
+test("gives up after the last retry", async () => {
+  const { fetch, api } = setup([
+    { status: 500, body: { message: "Boom" } },
+    { status: 500, body: { message: "Boom" } },
+    { status: 500, body: { message: "Boom" } },
+  ]);
+
+  await assert.rejects(api.getAuthenticatedUser(), (error) => {
+    assert.equal(error.name, "GitHubApiError");
+    assert.equal(error.status, 500);
+    assert.match(error.message, /Boom/);
+    return true;
+  });
+  assert.equal(fetch.calls.length, 3);
+});
+
+test("does not retry client errors and returns null for missing files", async () => {
+  const { fetch, api } = setup([{ status: 404, body: { message: "Not Found" } }]);
+
+  assert.equal(await api.getFileContent("o", "r", "missing.txt", "main"), null);
+  assert.equal(fetch.calls.length, 1);
+});
+
+test("stops calling once the rate limit is hit, until it resets", async () => {
+  const reset = Math.floor(Date.now() / 1000) + 600;
+  const limited = [];
+  const { fetch, api } = setup(
+    [
+      { body: {}, headers: rateLimitHeaders(1, reset) },
+      { status: 403, body: { message: "API rate limit exceeded" }, headers: rateLimitHeaders(0, reset) },
+    ],
+    { onRateLimit: (until) => limited.push(until) }
+  );
+
+  await api.getAuthenticatedUser();
+  // Spread out of the sandbox's realm so the prototypes compare equal
+  assert.deepEqual({ ...api.rateLimit }, { limit: 60, remaining: 1, reset: reset * 1000 });
+
+  await assert.rejects(api.getAuthenticatedUser(), (error) => {
+    assert.equal(error.status, 403);
+    assert.equal(error.rateLimitedUntil, reset * 1000);
+    return true;
+  });
+  assert.deepEqual(limited, [reset * 1000]);
+
+  // Refused locally, without another request
+  await assert.rejects(api.getAuthenticatedUser(), (error) => error.status === 429);
+  assert.equal(fetch.calls.length, 2);
+});
+
+test("honours Retry-After on secondary rate limits and reports the end", async () => {
+  const limited = [];
+  const { api } = setup(
+    [
+      { status: 429, headers: { "Retry-After": "0" } },
+      { body: { login: "octocat" } },
+    ],
+    { onRateLimit: (until) => limited.push(until) }
+  );
+
+  await assert.rejects(api.getAuthenticatedUser(), (error) => error.rateLimitedUntil !== null);
+  // Retry-After: 0 has already passed, so the next call goes out
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.equal((await api.getAuthenticatedUser()).login, "octocat");
+  assert.equal(limited.length, 2);
+  assert.equal(limited[1], null);
+});
+
+test("a 403 that isn't a rate limit doesn't pause the API", async () => {
+  const { api } = setup([
+    { status: 403, body: { message: "Resource not accessible" } },
+    { body: { login: "octocat" } },
+  ]);
+
+  await assert.rejects(api.getAuthenticatedUser(), (error) => error.rateLimitedUntil === null);
+  assert.equal((await api.getAuthenticatedUser()).login, "octocat");
+});
+
+test("sends tokens only to the public API and the Enterprise API root", () => {
+  const { sandbox } = setup([]);
+  const tokens = { "github.com": "public", "ghe.example.com": "enterprise" };
+  const { tokenFor } = sandbox.GitHubApi;
+
+  assert.equal(tokenFor("https://api.github.com", tokens, ""), "public");
+  assert.equal(tokenFor("https://ghe.example.com/api/v3/", tokens, "ghe.example.com"), "enterprise");
+  assert.equal(tokenFor("https://localhost:8443", tokens, "ghe.example.com"), null);
+  assert.equal(tokenFor("http://api.github.com", tokens, ""), null);
+});
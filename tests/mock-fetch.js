@@ -0,0 +1,63 @@
+// GitHub Merge Conflict Helper - Mock fetch for tests
+// Loads the extension's browser scripts into a sandbox and stands in for
+// fetch with queued responses, so GitHubApi can be exercised without a
+// network. Run the tests with `node --test tests/*.test.js` (Node 18+).
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Runs `files` (relative to the repository root) in one shared global scope,
+// as the manifest does, and returns the sandbox. Timers fire right away and
+// their delays are collected in `sandbox.delays`.
+function loadScripts(files) {
+  const delays = [];
+  const sandbox = {
+    atob,
+    btoa,
+    TextDecoder,
+    URLSearchParams,
+    delays,
+    setTimeout: (callback, delay) => {
+      delays.push(delay);
+      return setImmediate(callback);
+    },
+  };
+  vm.createContext(sandbox);
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+    // Classes declared at the top level aren't properties of the global
+    const names = Array.from(source.matchAll(/^class (\w+)/gm), (match) => match[1]);
+    vm.runInContext(
+      `${source}\n${names.map((name) => `globalThis.${name} = ${name};`).join("\n")}`,
+      sandbox,
+      { filename: file }
+    );
+  }
+  return sandbox;
+}
+
+// A fetch that answers with `responses` in order. Each is { status, body,
+// headers } or an Error to throw; every call is kept in `fetch.calls` as
+// { url, headers }.
+function createMockFetch(responses) {
+  const queue = [...responses];
+  const fetch = async (url, options = {}) => {
+    fetch.calls.push({ url, headers: { ...options.headers } });
+    if (queue.length === 0) {
+      throw new Error(`Unexpected request: ${url}`);
+    }
+
+    const next = queue.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    const { status = 200, body = null, headers = {} } = next;
+    return new Response(body === null ? null : JSON.stringify(body), { status, headers });
+  };
+  fetch.calls = [];
+  fetch.pending = () => queue.length;
+  return fetch;
+}
+
+module.exports = { loadScripts, createMockFetch };
@@ -0,0 +1,109 @@
+// GitHub Merge Conflict Helper - Text Format
+// Line endings, byte order mark and final newline of a file. Conflicts are
+// parsed and resolved on normalized text (no BOM, "\n" only) and the original
+// format is put back on the result, so CRLF files don't come out as LF. Files
+// that mix line endings keep each unchanged line's own ending.
+class TextFormat {
+  static get BOM() {
+    return "\uFEFF";
+  }
+
+  // Mixed files are matched line by line against the original; results that
+  // differ from it by more lines than this get the more common ending
+  static get MAX_EDITS() {
+    return 1000;
+  }
+
+  // Returns { eol, mixed, bom, finalNewline }, plus for mixed files `lines`:
+  // the original's [{ text, eol }] ("" for the last line's missing ending).
+  // `eol` is the more common ending, used for new lines.
+  static detect(text) {
+    const bom = text.startsWith(TextFormat.BOM);
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    const format = {
+      eol: crlf > lf ? "\r\n" : "\n",
+      mixed: crlf > 0 && lf > 0,
+      bom,
+      finalNewline: /\n$/.test(text),
+    };
+
+    if (format.mixed) {
+      const withoutBom = bom ? text.substring(1) : text;
+      format.lines = withoutBom.split("\n").map((line, index, all) =>
+        line.endsWith("\r")
+          ? { text: line.slice(0, -1), eol: "\r\n" }
+          : { text: line, eol: index < all.length - 1 ? "\n" : "" }
+      );
+    }
+    return format;
+  }
+
+  static normalize(text) {
+    const withoutBom = text.startsWith(TextFormat.BOM) ? text.substring(1) : text;
+    return withoutBom.replace(/\r\n/g, "\n");
+  }
+
+  // Gives the text the format's line endings, BOM and final newline
+  static apply(text, format) {
+    if (!format) {
+      return text;
+    }
+
+    let normalized = TextFormat.normalize(text);
+    if (format.finalNewline && normalized !== "" && !normalized.endsWith("\n")) {
+      normalized += "\n";
+    } else if (!format.finalNewline) {
+      normalized = normalized.replace(/\n$/, "");
+    }
+
+    let eol;
+    if (format.mixed && format.lines) {
+      eol = TextFormat.joinMixed(normalized.split("\n"), format);
+    } else {
+      eol = format.eol === "\r\n" ? normalized.replace(/\n/g, "\r\n") : normalized;
+    }
+    return format.bom ? TextFormat.BOM + eol : eol;
+  }
+
+  // Lines unchanged from the original keep their own ending; new lines take
+  // the ending of the original line just before them
+  static joinMixed(lines, format) {
+    const original = format.lines;
+    const ops = TextDiff.diff(
+      original.map((line) => line.text),
+      lines,
+      { maxEdits: TextFormat.MAX_EDITS }
+    );
+    if (!ops) {
+      return lines.join(format.eol);
+    }
+
+    const endings = [];
+    let position = 0;
+    let eol = format.eol;
+    for (const op of ops) {
+      if (op.type !== "add") {
+        eol = original[position].eol || format.eol;
+        position++;
+      }
+      if (op.type !== "remove") {
+        endings.push(eol);
+      }
+    }
+
+    return lines
+      .map((line, index) => (index < lines.length - 1 ? line + endings[index] : line))
+      .join("");
+  }
+
+  // e.g. "CRLF · UTF-8 BOM · final newline"
+  static describe(format) {
+    const eol = format.eol === "\r\n" ? "CRLF" : "LF";
+    return [
+      format.mixed ? `Mixed (kept per line, new lines ${eol})` : eol,
+      ...(format.bom ? ["UTF-8 BOM"] : []),
+      format.finalNewline ? "final newline" : "no final newline",
+    ].join(" · ");
+  }
+}
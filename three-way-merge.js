@@ -0,0 +1,221 @@
+// GitHub Merge Conflict Helper - Three-Way Merge
+// GitHub's markers have no base section, so whether a line was added by one
+// side or deleted by the other is lost. Given the file as it was at the pull
+// request's merge-base commit, this recovers each hunk's base lines and merges
+// the two sides against them line by line.
+class ThreeWayMerge {
+  // Larger files aren't aligned
+  static get MAX_LINES() {
+    return 10000;
+  }
+
+  // The diff's memory grows with the square of the edit distance; inputs that
+  // differ by more than this many lines are treated as having no usable base
+  static get MAX_EDITS() {
+    return 1000;
+  }
+
+  static diff(base, side) {
+    return TextDiff.diff(base, side, { maxEdits: ThreeWayMerge.MAX_EDITS });
+  }
+
+  // For every line of `side`, the index of the base line it matches or -1;
+  // null when the two are too far apart to align
+  static align(base, side) {
+    const ops = ThreeWayMerge.diff(base, side);
+    if (!ops) {
+      return null;
+    }
+
+    const matches = new Array(side.length).fill(-1);
+    let b = 0;
+    let s = 0;
+
+    for (const op of ops) {
+      if (op.type === "equal") {
+        matches[s++] = b++;
+      } else if (op.type === "remove") {
+        b++;
+      } else {
+        s++;
+      }
+    }
+    return matches;
+  }
+
+  // The base lines that side lines [start, end) took the place of: everything
+  // between the nearest matched lines around them
+  static baseRange(matches, start, end, baseLength) {
+    let from = 0;
+    for (let i = start - 1; i >= 0; i--) {
+      if (matches[i] !== -1) {
+        from = matches[i] + 1;
+        break;
+      }
+    }
+
+    let to = baseLength;
+    for (let i = end; i < matches.length; i++) {
+      if (matches[i] !== -1) {
+        to = matches[i];
+        break;
+      }
+    }
+    return [from, Math.max(from, to)];
+  }
+
+  // Returns each hunk's base lines, or null for hunks that already have a
+  // base section (diff3 markers) and when the file is too large or too
+  // different from the base to align. With repeated lines the two sides can
+  // align the same context to different base lines; such hunks get null too.
+  static recoverBases(parsed, baseText) {
+    const base = baseText.split("\n");
+    const sides = {
+      current: { lines: [], ranges: [] },
+      incoming: { lines: [], ranges: [] },
+    };
+
+    for (const segment of parsed.segments) {
+      for (const [name, side] of Object.entries(sides)) {
+        if (segment.type === "text") {
+          side.lines.push(...segment.lines);
+        } else {
+          const lines = segment.hunk[name];
+          side.ranges.push([side.lines.length, side.lines.length + lines.length]);
+          side.lines.push(...lines);
+        }
+      }
+    }
+
+    const tooLarge = [base, sides.current.lines, sides.incoming.lines].some(
+      (lines) => lines.length > ThreeWayMerge.MAX_LINES
+    );
+    if (tooLarge) {
+      return parsed.hunks.map(() => null);
+    }
+
+    const currentMatches = ThreeWayMerge.align(base, sides.current.lines);
+    const incomingMatches = currentMatches && ThreeWayMerge.align(base, sides.incoming.lines);
+    if (!incomingMatches) {
+      return parsed.hunks.map(() => null);
+    }
+
+    return parsed.hunks.map((hunk, index) => {
+      if (hunk.base !== null) {
+        return null;
+      }
+
+      const [currentFrom, currentTo] = ThreeWayMerge.baseRange(
+        currentMatches,
+        ...sides.current.ranges[index],
+        base.length
+      );
+      const [incomingFrom, incomingTo] = ThreeWayMerge.baseRange(
+        incomingMatches,
+        ...sides.incoming.ranges[index],
+        base.length
+      );
+      if (currentFrom !== incomingFrom || currentTo !== incomingTo) {
+        return null;
+      }
+      return base.slice(currentFrom, currentTo);
+    });
+  }
+
+  // Regions of `base` that `side` replaced: [{ start, end, lines }], or null
+  // when the two are too far apart to compare
+  static changes(base, side) {
+    const ops = ThreeWayMerge.diff(base, side);
+    if (!ops) {
+      return null;
+    }
+
+    const regions = [];
+    let region = null;
+    let b = 0;
+
+    for (const op of ops) {
+      if (op.type === "equal") {
+        region = null;
+        b++;
+        continue;
+      }
+
+      if (!region) {
+        region = { start: b, end: b, lines: [] };
+        regions.push(region);
+      }
+      if (op.type === "remove") {
+        b++;
+        region.end = b;
+      } else {
+        region.lines.push(op.value);
+      }
+    }
+    return regions;
+  }
+
+  static same(a, b) {
+    return a.length === b.length && a.every((line, index) => line === b[index]);
+  }
+
+  // Merges both sides' changes to `base`. Returns the merged lines, or null
+  // when the sides changed the same (or touching) lines differently, or are
+  // too far from the base to compare.
+  static mergeLines(base, current, incoming) {
+    const currentChanges = ThreeWayMerge.changes(base, current);
+    const incomingChanges = currentChanges && ThreeWayMerge.changes(base, incoming);
+    if (!incomingChanges) {
+      return null;
+    }
+
+    const regions = [
+      ...currentChanges.map((region) => ({ ...region, side: "current" })),
+      ...incomingChanges.map((region) => ({ ...region, side: "incoming" })),
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+    // One side's version of base[start, end), with its changes applied
+    const version = (group, side, start, end) => {
+      const lines = [];
+      let position = start;
+      for (const region of group.filter((candidate) => candidate.side === side)) {
+        lines.push(...base.slice(position, region.start), ...region.lines);
+        position = region.end;
+      }
+      lines.push(...base.slice(position, end));
+      return lines;
+    };
+
+    const merged = [];
+    let position = 0;
+    let index = 0;
+
+    while (index < regions.length) {
+      // Overlapping or touching changes are handled together, like git does
+      const group = [regions[index]];
+      const start = regions[index].start;
+      let end = regions[index].end;
+      index++;
+      while (index < regions.length && regions[index].start <= end) {
+        group.push(regions[index]);
+        end = Math.max(end, regions[index].end);
+        index++;
+      }
+
+      const current = version(group, "current", start, end);
+      const incoming = version(group, "incoming", start, end);
+      const bothChanged = group.some((region) => region.side === "current") &&
+        group.some((region) => region.side === "incoming");
+      if (bothChanged && !ThreeWayMerge.same(current, incoming)) {
+        return null;
+      }
+
+      merged.push(...base.slice(position, start));
+      merged.push(...(group.some((region) => region.side === "current") ? current : incoming));
+      position = end;
+    }
+
+    merged.push(...base.slice(position));
+    return merged;
+  }
+}
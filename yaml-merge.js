@@ -0,0 +1,338 @@
+// GitHub Merge Conflict Helper - YAML Merge
+// Merges the current and incoming versions of a YAML file by structure, working
+// on the source lines so that comments and formatting survive. Mappings merge
+// by key; sequence items merge by identity (their `name:` or `id:`, or the item
+// text itself). Entries both sides changed differently are reported as
+// collisions, each resolved by its own choice.
+class YamlMerge {
+  // texts: { current, incoming, base } full-file texts (base may be null).
+  // resolutions: { [collisionKey]: "current" | "incoming" }
+  static merge(texts, resolutions = {}) {
+    const eol = /\r\n/.test(texts.current) ? "\r\n" : "\n";
+    let current;
+    let incoming;
+    let base = null;
+
+    try {
+      current = YamlMerge.parseNodes(texts.current.split(/\r?\n/));
+    } catch (error) {
+      return { ok: false, error: `Current side: ${error.message}` };
+    }
+    try {
+      incoming = YamlMerge.parseNodes(texts.incoming.split(/\r?\n/));
+    } catch (error) {
+      return { ok: false, error: `Incoming side: ${error.message}` };
+    }
+    try {
+      if (texts.base !== null && texts.base !== undefined) {
+        base = YamlMerge.parseNodes(texts.base.split(/\r?\n/));
+      }
+    } catch (error) {
+      // Without a readable base the merge is two-way
+      base = null;
+    }
+
+    const state = { resolutions, collisions: [] };
+    const lines = YamlMerge.mergeLists(current, incoming, base, [], state);
+
+    return {
+      ok: true,
+      text: lines.join(eol),
+      collisions: state.collisions,
+      unresolved: state.collisions.filter((collision) => !collision.resolution).length,
+    };
+  }
+
+  static preview(value) {
+    return value;
+  }
+
+  static isItem(text) {
+    return text === "-" || text.startsWith("- ");
+  }
+
+  static isContent(line) {
+    const text = line.trim();
+    return text !== "" && !text.startsWith("#");
+  }
+
+  static indentOf(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  // Splits a block into sibling nodes. Each node keeps its raw lines and the
+  // comment/blank lines before it; comments after the last node are the trailer.
+  static parseNodes(lines) {
+    const nodes = [];
+    let pending = [];
+    let indent = null;
+    let node = null;
+
+    for (const line of lines) {
+      if (!YamlMerge.isContent(line)) {
+        pending.push(line);
+        continue;
+      }
+
+      const text = line.trim();
+      const lineIndent = YamlMerge.indentOf(line);
+      if (indent === null) {
+        indent = lineIndent;
+      }
+
+      // Deeper lines, and a sequence written at its key's own indent, belong
+      // to the current node
+      if (
+        node &&
+        (lineIndent > indent ||
+          (lineIndent === indent && node.kind === "key" && YamlMerge.isItem(text)))
+      ) {
+        node.lines.push(...pending, line);
+        pending = [];
+        continue;
+      }
+
+      if (lineIndent < indent) {
+        throw new Error(`unexpected indentation at "${text}"`);
+      }
+
+      node = YamlMerge.createNode(line, text, pending);
+      nodes.push(node);
+      pending = [];
+    }
+
+    return { nodes, trailer: pending };
+  }
+
+  static createNode(line, text, leading) {
+    if (YamlMerge.isItem(text)) {
+      return { kind: "item", key: null, value: text.substring(1).trim(), leading, lines: [line] };
+    }
+
+    const entry = YamlLite.splitKey(text);
+    if (entry) {
+      // Keys stay as written: "on" is a workflow key here, not a boolean
+      const colon = text.lastIndexOf(":", text.length - entry.value.length);
+      const raw = text.substring(0, colon).trim();
+      const key = /^["']/.test(raw) ? String(YamlLite.parseScalar(raw)) : raw;
+      return { kind: "key", key, value: entry.value, leading, lines: [line] };
+    }
+
+    return { kind: "scalar", key: null, value: text, leading, lines: [line] };
+  }
+
+  // Child nodes of a key with a nested block, or of a "- key: value" item;
+  // null for leaves (scalars, block scalars, flow collections)
+  static children(node) {
+    if (node.lines.length < 2 && node.kind !== "item") {
+      return null;
+    }
+
+    if (node.kind === "key") {
+      return node.value === "" ? YamlMerge.parseNodes(node.lines.slice(1)) : null;
+    }
+
+    if (
+      node.kind === "item" &&
+      node.value &&
+      !YamlMerge.isItem(node.value) &&
+      YamlLite.splitKey(node.value)
+    ) {
+      // Replacing the dash with a space turns the item into a plain mapping
+      const column = YamlMerge.indentOf(node.lines[0]);
+      const first = node.lines[0];
+      return YamlMerge.parseNodes([
+        `${first.substring(0, column)} ${first.substring(column + 1)}`,
+        ...node.lines.slice(1),
+      ]);
+    }
+
+    return null;
+  }
+
+  // { id, label } used to pair up siblings across the versions
+  static identity(node) {
+    if (node.kind === "key") {
+      return { id: `key:${node.key}`, label: node.key };
+    }
+
+    if (node.kind === "item") {
+      const children = YamlMerge.children(node);
+      if (children) {
+        for (const field of ["name", "id"]) {
+          const child = children.nodes.find(
+            (candidate) => candidate.kind === "key" && candidate.key === field && candidate.value
+          );
+          if (child) {
+            const value = YamlLite.parseScalar(child.value);
+            return { id: `item:${field}=${value}`, label: `[${field}=${value}]` };
+          }
+        }
+      }
+    }
+
+    return {
+      id: `${node.kind}:${node.lines.map((line) => line.trim()).join("\n")}`,
+      label: node.kind === "item" ? `[${node.value || "-"}]` : node.value,
+    };
+  }
+
+  static index(list) {
+    const map = new Map();
+    const counts = {};
+
+    list.nodes.forEach((node) => {
+      const identity = YamlMerge.identity(node);
+      counts[identity.id] = (counts[identity.id] || 0) + 1;
+      // Repeated identities pair up by occurrence
+      const id = counts[identity.id] > 1 ? `${identity.id}#${counts[identity.id]}` : identity.id;
+      map.set(id, { node, label: identity.label });
+    });
+
+    return map;
+  }
+
+  static body(node) {
+    return node.lines.join("\n");
+  }
+
+  static sameLines(a, b) {
+    return a.join("\n") === b.join("\n");
+  }
+
+  static mergeLists(current, incoming, base, path, state) {
+    const currentNodes = YamlMerge.index(current);
+    const incomingNodes = YamlMerge.index(incoming);
+    const baseNodes = base ? YamlMerge.index(base) : new Map();
+    const unchanged = (id, node) =>
+      baseNodes.has(id) && YamlMerge.body(baseNodes.get(id).node) === YamlMerge.body(node);
+    const result = [];
+
+    for (const [id, { node, label }] of currentNodes) {
+      if (incomingNodes.has(id)) {
+        result.push({
+          id,
+          lines: YamlMerge.mergeNode(
+            node,
+            incomingNodes.get(id).node,
+            baseNodes.has(id) ? baseNodes.get(id).node : null,
+            [...path, label],
+            state
+          ),
+        });
+      } else if (!unchanged(id, node)) {
+        // Kept unless incoming deleted an entry current left alone
+        result.push({ id, lines: [...node.leading, ...node.lines] });
+      }
+    }
+
+    // Entries only incoming has go after their preceding incoming sibling;
+    // those with no kept sibling before them go after the last kept entry
+    let position = -1;
+    const unplaced = [];
+    for (const [id, { node }] of incomingNodes) {
+      if (currentNodes.has(id)) {
+        const found = result.findIndex((entry) => entry.id === id);
+        if (found !== -1) {
+          position = found;
+        }
+      } else if (!unchanged(id, node)) {
+        const entry = { id, lines: [...node.leading, ...node.lines] };
+        if (position === -1) {
+          unplaced.push(entry);
+        } else {
+          result.splice(position + 1, 0, entry);
+          position++;
+        }
+      }
+    }
+    result.push(...unplaced);
+
+    const trailer =
+      base && YamlMerge.sameLines(current.trailer, base.trailer)
+        ? incoming.trailer
+        : current.trailer;
+
+    return [...result.flatMap((entry) => entry.lines), ...trailer];
+  }
+
+  static mergeNode(current, incoming, base, path, state) {
+    const leading =
+      base && YamlMerge.sameLines(current.leading, base.leading)
+        ? incoming.leading
+        : current.leading;
+    const currentBody = YamlMerge.body(current);
+    const incomingBody = YamlMerge.body(incoming);
+
+    if (currentBody === incomingBody) {
+      return [...leading, ...current.lines];
+    }
+
+    // With a base, a side that didn't change yields to the one that did
+    if (base) {
+      if (currentBody === YamlMerge.body(base)) {
+        return [...leading, ...incoming.lines];
+      }
+      if (incomingBody === YamlMerge.body(base)) {
+        return [...leading, ...current.lines];
+      }
+    }
+
+    const currentChildren = YamlMerge.children(current);
+    const incomingChildren = YamlMerge.children(incoming);
+
+    if (currentChildren && incomingChildren && current.kind === incoming.kind) {
+      const baseChildren =
+        base && base.kind === current.kind ? YamlMerge.children(base) : null;
+      const merged = YamlMerge.mergeLists(
+        currentChildren,
+        incomingChildren,
+        baseChildren,
+        path,
+        state
+      );
+
+      if (current.kind === "key") {
+        return [...leading, current.lines[0], ...merged];
+      }
+
+      // Put the item's dash back on its first line
+      const column = YamlMerge.indentOf(current.lines[0]);
+      const first = merged.findIndex((line) => YamlMerge.isContent(line));
+      if (first !== -1) {
+        const line = merged[first];
+        merged[first] = `${line.substring(0, column)}-${line.substring(column + 1)}`;
+      }
+      return [...leading, ...merged];
+    }
+
+    return [...leading, ...YamlMerge.collide(current, incoming, base, path, state)];
+  }
+
+  static collide(current, incoming, base, path, state) {
+    const key = JSON.stringify(path);
+    const resolution = state.resolutions[key] || null;
+    const display = (node) => {
+      if (!node) {
+        return undefined;
+      }
+      const indent = Math.min(
+        ...node.lines.filter(YamlMerge.isContent).map(YamlMerge.indentOf)
+      );
+      return node.lines.map((line) => line.substring(indent)).join("\n");
+    };
+
+    state.collisions.push({
+      key,
+      path: path.join(".").replace(/\.\[/g, "[") || "(root)",
+      current: display(current),
+      incoming: display(incoming),
+      base: display(base),
+      canCombine: false,
+      resolution,
+    });
+
+    // Unresolved collisions keep the current lines until a choice is made
+    return resolution === "incoming" ? incoming.lines : current.lines;
+  }
+}
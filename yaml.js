@@ -0,0 +1,284 @@
+// GitHub Merge Conflict Helper - YAML Reader
+// A small YAML subset reader for configuration files: block mappings and
+// sequences, plain/quoted scalars, flow [..] and {..} collections, literal
+// (|) and folded (>) block scalars, and comments. Anchors, tags and
+// multi-document streams are not supported.
+class YamlLite {
+  static parse(text) {
+    const lines = YamlLite.tokenize(text);
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const [value, next] = YamlLite.parseBlock(lines, 0, lines[0].indent);
+    if (next < lines.length) {
+      throw new Error(`Unexpected content on line ${lines[next].number}`);
+    }
+    return value;
+  }
+
+  // Splits into { indent, text, number, raw } lines without comments or blanks
+  static tokenize(text) {
+    return text
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/)
+      .map((raw, index) => {
+        const stripped = YamlLite.stripComment(raw).replace(/\s+$/, "");
+        return {
+          indent: stripped.length - stripped.trimStart().length,
+          text: stripped.trim(),
+          number: index + 1,
+          raw,
+        };
+      })
+      .filter((line) => line.text !== "" && line.text !== "---" && line.text !== "...");
+  }
+
+  static stripComment(line) {
+    let quote = null;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quote) {
+        if (char === "\\" && quote === '"') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+        return line.substring(0, i);
+      }
+    }
+
+    return line;
+  }
+
+  static isSequenceItem(text) {
+    return text === "-" || text.startsWith("- ");
+  }
+
+  // Finds the "key: value" split outside quotes and flow collections
+  static splitKey(text) {
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" || char === "{") {
+        depth++;
+      } else if (char === "]" || char === "}") {
+        depth--;
+      } else if (
+        char === ":" &&
+        depth === 0 &&
+        (i === text.length - 1 || text[i + 1] === " ")
+      ) {
+        return {
+          key: YamlLite.parseScalar(text.substring(0, i).trim()),
+          value: text.substring(i + 1).trim(),
+        };
+      }
+    }
+
+    return null;
+  }
+
+  static parseBlock(lines, index, indent) {
+    return YamlLite.isSequenceItem(lines[index].text)
+      ? YamlLite.parseSequence(lines, index, indent)
+      : YamlLite.parseMapping(lines, index, indent);
+  }
+
+  static parseSequence(lines, index, indent) {
+    const items = [];
+    let i = index;
+
+    while (
+      i < lines.length &&
+      lines[i].indent === indent &&
+      YamlLite.isSequenceItem(lines[i].text)
+    ) {
+      const line = lines[i];
+      const rest = line.text.substring(1).trim();
+
+      if (rest === "") {
+        // Item content starts on the next, deeper line
+        if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+          const [value, next] = YamlLite.parseBlock(lines, i + 1, lines[i + 1].indent);
+          items.push(value);
+          i = next;
+        } else {
+          items.push(null);
+          i++;
+        }
+      } else if (YamlLite.isSequenceItem(rest) || YamlLite.splitKey(rest)) {
+        // "- key: value" or "- - item": reparse the rest as a nested block
+        const column = indent + (line.text.length - rest.length);
+        const nested = [{ ...line, indent: column, text: rest }, ...lines.slice(i + 1)];
+        const [value, consumed] = YamlLite.parseBlock(nested, 0, column);
+        items.push(value);
+        i += consumed;
+      } else {
+        const [value, next] = YamlLite.parseValue(rest, lines, i, indent);
+        items.push(value);
+        i = next;
+      }
+    }
+
+    return [items, i];
+  }
+
+  static parseMapping(lines, index, indent) {
+    const map = {};
+    let i = index;
+
+    while (i < lines.length && lines[i].indent === indent) {
+      const line = lines[i];
+      if (YamlLite.isSequenceItem(line.text)) {
+        break;
+      }
+
+      const entry = YamlLite.splitKey(line.text);
+      if (!entry) {
+        throw new Error(`Expected "key: value" on line ${line.number}`);
+      }
+
+      if (entry.value === "") {
+        const next = lines[i + 1];
+        // Nested block, or a sequence written at the key's own indent
+        if (
+          next &&
+          (next.indent > indent ||
+            (next.indent === indent && YamlLite.isSequenceItem(next.text)))
+        ) {
+          const [value, after] = YamlLite.parseBlock(lines, i + 1, next.indent);
+          map[entry.key] = value;
+          i = after;
+        } else {
+          map[entry.key] = null;
+          i++;
+        }
+      } else {
+        const [value, next] = YamlLite.parseValue(entry.value, lines, i, indent);
+        map[entry.key] = value;
+        i = next;
+      }
+    }
+
+    if (i < lines.length && lines[i].indent > indent) {
+      throw new Error(`Unexpected indentation on line ${lines[i].number}`);
+    }
+
+    return [map, i];
+  }
+
+  // Parses an inline value; block scalars consume the deeper lines after it
+  static parseValue(text, lines, index, indent) {
+    if (/^[|>][-+]?$/.test(text)) {
+      const blockLines = [];
+      let i = index + 1;
+      while (i < lines.length && lines[i].indent > indent) {
+        blockLines.push(lines[i]);
+        i++;
+      }
+
+      const base = blockLines.length ? blockLines[0].indent : 0;
+      const content = blockLines.map((line) => line.raw.substring(base));
+      const joined =
+        text[0] === "|" ? content.join("\n") : content.join(" ");
+      return [text.endsWith("-") ? joined : `${joined}\n`, i];
+    }
+
+    return [YamlLite.parseScalar(text), index + 1];
+  }
+
+  static parseScalar(text) {
+    if (text.startsWith("[") || text.startsWith("{")) {
+      return YamlLite.parseFlow(text);
+    }
+
+    if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+      return JSON.parse(text);
+    }
+
+    if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+
+    if (/^(true|yes|on)$/i.test(text)) {
+      return true;
+    }
+    if (/^(false|no|off)$/i.test(text)) {
+      return false;
+    }
+    if (text === "~" || /^null$/i.test(text)) {
+      return null;
+    }
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+      return Number(text);
+    }
+
+    return text;
+  }
+
+  static parseFlow(text) {
+    const open = text[0];
+    const close = open === "[" ? "]" : "}";
+    if (!text.endsWith(close)) {
+      throw new Error(`Unterminated flow collection: ${text}`);
+    }
+
+    const parts = YamlLite.splitFlow(text.slice(1, -1));
+
+    if (open === "[") {
+      return parts.map((part) => YamlLite.parseScalar(part));
+    }
+
+    const map = {};
+    for (const part of parts) {
+      const entry = YamlLite.splitKey(part) || { key: part, value: "" };
+      map[entry.key] = entry.value === "" ? null : YamlLite.parseScalar(entry.value);
+    }
+    return map;
+  }
+
+  // Splits flow collection items on top-level commas
+  static splitFlow(text) {
+    const parts = [];
+    let quote = null;
+    let depth = 0;
+    let current = "";
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" || char === "{") {
+        depth++;
+      } else if (char === "]" || char === "}") {
+        depth--;
+      } else if (char === "," && depth === 0) {
+        parts.push(current.trim());
+        current = "";
+        continue;
+      }
+      current += char;
+    }
+
+    if (current.trim() !== "") {
+      parts.push(current.trim());
+    }
+    return parts;
+  }
+}